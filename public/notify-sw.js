@@ -0,0 +1,19 @@
+// Shows the reminders the server sends by Web Push (services/notifier.js) and opens the page they point to when
+// one is clicked. Registered from the student dashboard; it handles no requests.
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('push', event => {
+  const { title = 'Meal reminder', body = '', url = '/meal-dashboard.html' } = event.data ? event.data.json() : {};
+  event.waitUntil(self.registration.showNotification(title, { body, data: { url } }));
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/meal-dashboard.html', self.location.origin).href;
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+    const open = windows.find(win => win.url === url);
+    return open ? open.focus() : self.clients.openWindow(url);
+  }));
+});
@@ -0,0 +1,26 @@
+// Offline copy of the staff serving page. The page, its scripts and styles, and the board data it loads are fetched
+// from the network when possible and from the last good response when the dining hall Wi-Fi is down. Serves made
+// offline are queued by the page itself; the live event stream is never cached, and neither is anything the server
+// redirected (a logged-out device lands on a login page). The login pages delete the cache on sign-out.
+const CACHE = 'staff-serving';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || !url.protocol.startsWith('http') || url.pathname === '/api/meal/live') return;
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if ((response.ok && !response.redirected) || response.type === 'opaque') {
+          const copy = response.clone();
+          caches.open(CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(request).then(cached => cached || Response.error())),
+  );
+});
@@ -1,45 +1,85 @@
 const express = require('express');
    const mongoose = require('mongoose');
    const ExcelJS = require('exceljs');
+   const XLSX = require('xlsx');
    const session = require('express-session');
    const MongoStore = require('connect-mongo');
    const bcrypt = require('bcrypt');
    const path = require('path');
+   const crypto = require('crypto');
    const cron = require('node-cron');
    const rateLimit = require('express-rate-limit');
+   const { createMailer } = require('./services/mailer');
+   const { writeReportXlsx, writeReportPdf } = require('./services/reports');
+   const { createMealBooking, countMeals } = require('./services/mealBooking');
+   const { createServingFeed } = require('./services/servingFeed');
+   const { createApiTokens } = require('./services/apiTokens');
+   const { createNotifier, CHANNELS } = require('./services/notifier');
+   const {
+     TIMEZONE,
+     currentDay,
+     dayOf,
+     parseDay,
+     addDays,
+     dayKey,
+     monthKey,
+     weekday,
+     startOfMonth,
+     endOfMonth,
+     monthRange,
+     zonedDateTime,
+     isPastDay,
+     normalizeStoredDay,
+     DAY_MS,
+   } = require('./services/mealDates');
    require('dotenv').config();
 
    const app = express();
    const PORT = process.env.PORT || 3000;
+   // Public address for emailed links; the Host header is client-controlled and never used for them
+   const APP_URL = (process.env.APP_URL || '').replace(/\/+$/, '');
    const MONGODB_URI = process.env.MONGODB_URI;
    const SESSION_SECRET = process.env.SESSION_SECRET;
+   const QR_TOKEN_SECRET = process.env.QR_TOKEN_SECRET || SESSION_SECRET;
+   const JWT_SECRET = process.env.JWT_SECRET || SESSION_SECRET;
+   const UNSERVE_WINDOW_MINUTES = Number(process.env.UNSERVE_WINDOW_MINUTES) || 15;
+   const mailer = createMailer();
 
-   // MongoDB Connection
-   async function connectDB() {
-     try {
-       await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 30000 });
-       console.log('MongoDB Connected at', new Date().toLocaleString('en-US', { timeZone: 'Asia/Dhaka' }));
-     } catch (error) {
-       console.error('MongoDB connection error:', error.message);
-       process.exit(1);
-     }
+   // MongoDB Connection. Called by the start-up code at the bottom of this file, or by the tests with their own database.
+   async function connectDB(uri = MONGODB_URI) {
+     await mongoose.connect(uri, { serverSelectionTimeoutMS: 30000 });
+     console.log('MongoDB Connected at', new Date().toLocaleString('en-US', { timeZone: TIMEZONE }));
+     await seedExtraItems();
+     await seedBatches();
+     await bootstrapSuperAdmin();
+     await migrateUserStatus();
+     await runMigrationOnce('userEmails', migrateUserEmails);
+     await runMigrationOnce('mealDates', migrateMealDates);
    }
-   connectDB();
+
+   // Sessions share the mongoose connection, so the store is ready once connectDB has run
+   const sessionClient = new Promise(resolve => mongoose.connection.once('connected', () => resolve(mongoose.connection.getClient())));
 
    // Middleware
+   // Fly's edge proxy sits in front of the app, so req.ip (serving event audit, rate limits) comes from its
+   // X-Forwarded-For; TRUST_PROXY_HOPS changes the count for other set-ups (0 when the app is reached directly)
+   app.set('trust proxy', process.env.TRUST_PROXY_HOPS === undefined ? 1 : Number(process.env.TRUST_PROXY_HOPS));
    app.use(express.urlencoded({ extended: true }));
+   app.use('/api/students/import', express.json({ limit: '5mb' })); // Rosters arrive as base64 files
    app.use(express.json());
    app.use(express.static(path.join(__dirname, 'public')));
    app.use(rateLimit({
      windowMs: 15 * 60 * 1000, // 15 minutes
      max: 100, // Limit to 100 requests per IP
+     // One counter device scans every student at rush hour, and wall displays reconnect their live feed after every drop
+     skip: req => ['/api/meal/scan', '/api/v1/serving/scan', '/api/meal/live'].includes(req.path),
    }));
    app.use(session({
      secret: SESSION_SECRET,
      resave: false,
      saveUninitialized: false,
      store: MongoStore.create({
-       mongoUrl: MONGODB_URI,
+       clientPromise: sessionClient,
        collectionName: 'sessions',
        ttl: 24 * 60 * 60,
      }).on('error', err => console.error('MongoStore error:', err)),
@@ -51,32 +91,94 @@ const express = require('express');
    app.set('view engine', 'ejs');
    app.set('views', path.join(__dirname, 'views'));
 
-   // Authentication Middleware
+   // Authentication Middleware. Web pages use the session; /api/v1 clients send a Bearer token that sets req.apiAccount.
+   const studentIdOf = req => req.apiAccount ? req.apiAccount.id : req.session.userId;
+   const staffIdOf = req => req.apiAccount ? req.apiAccount.id : req.session.staffId;
+
    const requireLogin = (req, res, next) => {
      if (!req.session.userId) return res.status(401).json({ error: 'Unauthorized: Please log in' });
      next();
    };
 
+   // One browser can be signed in to the admin and staff portals at once, so each keeps its own role in the session
+   // and a route's guard picks the one its permissions are checked against
    const requireAdmin = (req, res, next) => {
      if (!req.session.admin) return res.status(401).json({ error: 'Unauthorized: Admin access required' });
+     req.accountRole = req.session.adminRole;
      next();
    };
 
    const requireStaff = (req, res, next) => {
      if (!req.session.staff) return res.status(401).json({ error: 'Unauthorized: Staff access required' });
+     req.accountRole = req.session.staffRole;
+     next();
+   };
+
+   // What each staff/admin role may do; routes check these after requireStaff/requireAdmin
+   const ROLE_PERMISSIONS = {
+     SuperAdmin: ['accounts', 'students', 'deposits', 'billing', 'settings'],
+     MessManager: ['students', 'billing', 'settings', 'serving', 'extraMeals', 'mealUpdates'],
+     Accountant: ['deposits', 'billing'],
+     Server: ['serving'],
+   };
+
+   const hasPermission = (req, permission) => !!ROLE_PERMISSIONS[req.apiAccount ? req.apiAccount.role : req.accountRole]?.includes(permission);
+
+   // Logging in or signing up issues a new session id, so one planted beforehand is useless; other portals' logins
+   // carry over
+   const regenerateSession = req => {
+     const { cookie, ...carried } = req.session;
+     return new Promise((resolve, reject) => req.session.regenerate(err => {
+       if (err) return reject(err);
+       Object.assign(req.session, carried);
+       resolve();
+     }));
+   };
+
+   const requirePermission = permission => (req, res, next) => {
+     if (!hasPermission(req, permission)) return res.status(403).json({ error: 'Forbidden: Your role does not allow this' });
      next();
    };
 
+   // Booking is closed to students awaiting approval and to those who have neither confirmed their email
+   // nor been approved by an admin
+   const requireCanBook = async (req, res, next) => {
+     try {
+       const user = await User.findById(studentIdOf(req), 'status emailVerified').lean();
+       if (user?.status === 'Pending') return res.status(403).json({ error: 'Your account is awaiting admin approval' });
+       if (user?.status === 'Archived') return res.status(403).json({ error: 'Your batch has been archived' });
+       if (user?.emailVerified === false) return res.status(403).json({ error: 'Please verify your email before booking meals' });
+       next();
+     } catch (error) {
+       console.error('Error checking verification:', error.message);
+       res.status(500).json({ error: 'Server error' });
+     }
+   };
+
    // Schemas
    const userSchema = new mongoose.Schema({
      name: { type: String, required: true },
      classRoll: { type: Number, required: true },
-     email: { type: String, required: true, unique: true },
+     email: { type: String, required: true, unique: true, lowercase: true, trim: true }, // Lookups are lowercased too
      password: { type: String, required: true },
      gender: { type: String, enum: ['Male', 'Female'], required: true },
-     batch: { type: String, enum: ['09', '10', '11', '12', '13'], required: true },
+     batch: { type: String, required: true }, // A Batch code; routes check it against the batches collection
+     hall: { type: String }, // A DiningHall code; unassigned students are served and billed with the whole mess
      deposit: { type: Number, default: 0 },
      totalMealCount: { type: Number, default: 0 },
+     // New signups wait for an admin; only Active students hold their roll, get meal rows and appear at the counter.
+     // Archived students belong to a graduated batch.
+     status: { type: String, enum: ['Pending', 'Active', 'Rejected', 'Archived'], default: 'Active' },
+     // Students who signed up before verification existed have no flag and count as verified
+     emailVerified: { type: Boolean },
+     emailVerifiedAt: { type: Date },
+     phone: { type: String },
+     // Channels the student has opted in to for reminders; all off until they choose
+     notificationChannels: {
+       email: { type: Boolean, default: false },
+       sms: { type: Boolean, default: false },
+       push: { type: Boolean, default: false },
+     },
    }, { collection: 'users' });
 
    const mealHistorySchema = new mongoose.Schema({
@@ -84,620 +186,3962 @@ const express = require('express');
      date: { type: Date, required: true },
      meal: { type: String, enum: ['Lunch', 'Dinner', 'Both', 'Off'], required: true },
      additionalItems: [{ type: String }],
+     additionalCharge: { type: Number, default: 0 },
      lunchServed: { type: Boolean, default: false },
      dinnerServed: { type: Boolean, default: false },
      dailyMealCount: { type: Number, default: 0 },
      isExtra: { type: Boolean, default: false },
    }, { collection: 'mealhistories' });
 
+   // Accounts created before roles existed have no role and are treated as MessManager / SuperAdmin at login
    const staffSchema = new mongoose.Schema({
+     name: { type: String },
      email: { type: String, required: true, unique: true },
      password: { type: String, required: true },
-   }, { collection: 'staff' });
+     role: { type: String, enum: ['MessManager', 'Server'], default: 'Server' },
+     hall: { type: String }, // A DiningHall code; staff without one work every hall
+     active: { type: Boolean, default: true },
+   }, { collection: 'staff', timestamps: true });
 
    const adminSchema = new mongoose.Schema({
+     name: { type: String },
      email: { type: String, required: true, unique: true },
      password: { type: String, required: true },
-   }, { collection: 'admins' });
+     role: { type: String, enum: ['SuperAdmin', 'MessManager', 'Accountant'], default: 'SuperAdmin' },
+     active: { type: Boolean, default: true },
+   }, { collection: 'admins', timestamps: true });
+
+   const bazarExpenseSchema = new mongoose.Schema({
+     month: { type: String, required: true },
+     date: { type: Date, required: true },
+     description: { type: String, required: true },
+     amount: { type: Number, min: 0, required: true },
+     hall: { type: String }, // Bought for one hall's kitchen; unset for shared costs
+   }, { collection: 'bazarexpenses', timestamps: true });
+
+   const billingPeriodSchema = new mongoose.Schema({
+     month: { type: String, required: true, unique: true },
+     totalExpense: { type: Number, required: true },
+     totalMeals: { type: Number, required: true },
+     mealRate: { type: Number, required: true },
+     sharedExpense: { type: Number, default: 0 },
+     halls: [{
+       _id: false,
+       hall: { type: String, required: true },
+       totalExpense: { type: Number, default: 0 },
+       totalMeals: { type: Number, default: 0 },
+       mealRate: { type: Number, default: 0 },
+     }],
+     closedAt: { type: Date, default: Date.now },
+   }, { collection: 'billingperiods' });
+
+   const billSchema = new mongoose.Schema({
+     month: { type: String, required: true },
+     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+     name: { type: String, required: true },
+     classRoll: { type: Number, required: true },
+     batch: { type: String, required: true },
+     gender: { type: String, required: true },
+     hall: { type: String },
+     openingBalance: { type: Number, default: 0 },
+     deposits: { type: Number, default: 0 },
+     mealCount: { type: Number, default: 0 },
+     mealRate: { type: Number, default: 0 },
+     mealCharge: { type: Number, default: 0 },
+     additionalCharges: { type: Number, default: 0 },
+     feastCharges: { type: Number, default: 0 },
+     guestCharges: { type: Number, default: 0 },
+     closingBalance: { type: Number, default: 0 },
+   }, { collection: 'bills' });
+
+   // Catalogue of extra items students can add to a meal; a dailyLimit of 0 means unlimited
+   const extraItemSchema = new mongoose.Schema({
+     name: { type: String, required: true, unique: true },
+     price: { type: Number, min: 0, default: 0 },
+     meals: [{ type: String, enum: ['Lunch', 'Dinner'] }],
+     dailyLimit: { type: Number, min: 0, default: 0 },
+     cutoffTime: { type: String },
+     active: { type: Boolean, default: true },
+   }, { collection: 'extraitems' });
+
+   // Changes to a meal lock `daysBefore` days ahead of the meal date at `time` on the mess clock
+   const mealCutoffSchema = new mongoose.Schema({
+     meal: { type: String, enum: ['Lunch', 'Dinner'], required: true, unique: true },
+     daysBefore: { type: Number, min: 0, default: 0 },
+     time: { type: String, required: true },
+     lateAction: { type: String, enum: ['Reject', 'Queue'], default: 'Reject' },
+   }, { collection: 'mealcutoffs' });
+
+   const lateRequestSchema = new mongoose.Schema({
+     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+     date: { type: Date, required: true },
+     meal: { type: String, enum: ['Lunch', 'Dinner', 'Both', 'Off'], required: true },
+     additionalItems: [{ type: String }],
+     reason: { type: String },
+     status: { type: String, enum: ['Pending', 'Approved', 'Rejected'], default: 'Pending' },
+     handledAt: { type: Date },
+   }, { collection: 'laterequests', timestamps: true });
+
+   // Guests a student brings to a meal; charge is fixed at booking time from the guest rate then in force
+   const guestMealSchema = new mongoose.Schema({
+     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+     date: { type: Date, required: true },
+     mealType: { type: String, enum: ['Lunch', 'Dinner'], required: true },
+     count: { type: Number, min: 1, required: true },
+     servedCount: { type: Number, min: 0, default: 0 },
+     rate: { type: Number, min: 0, default: 0 },
+     charge: { type: Number, min: 0, default: 0 },
+     note: { type: String },
+   }, { collection: 'guestmeals', timestamps: true });
+
+   // Mess-wide settings edited by admins; a single document
+   // Reminder kinds are switched on unless an admin turns them off; see REMINDER_DEFAULTS
+   const messSettingsSchema = new mongoose.Schema({
+     guestMealRate: { type: Number, min: 0, default: 0 },
+     reminders: {
+       unbookedDay: { type: Boolean },
+       cutoff: { type: Boolean },
+       cutoffMinutes: { type: Number, min: 5, max: 24 * 60 },
+       lowBalance: { type: Boolean },
+       lowBalanceThreshold: { type: Number },
+       requestAnswered: { type: Boolean },
+     },
+   }, { collection: 'messsettings', timestamps: true });
+
+   // A student disputing a recorded day; `current` is the row as it was when filed, so approval can refuse stale requests
+   const mealSnapshot = {
+     meal: { type: String, enum: ['Lunch', 'Dinner', 'Both', 'Off'], required: true },
+     lunchServed: { type: Boolean, default: false },
+     dinnerServed: { type: Boolean, default: false },
+   };
+   const mealCorrectionSchema = new mongoose.Schema({
+     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+     mealHistoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'MealHistory', required: true },
+     date: { type: Date, required: true },
+     current: mealSnapshot,
+     requested: mealSnapshot,
+     reason: { type: String, required: true },
+     status: { type: String, enum: ['Pending', 'Approved', 'Rejected'], default: 'Pending' },
+     adminComment: { type: String },
+     handledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+     handledAt: { type: Date },
+   }, { collection: 'mealcorrections', timestamps: true });
+
+   // One entry per weekday (0 = Sunday), used to create a day's row when the student has not booked it
+   const mealTemplateSchema = new mongoose.Schema({
+     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+     days: [{
+       _id: false,
+       weekday: { type: Number, min: 0, max: 6, required: true },
+       meal: { type: String, enum: ['Lunch', 'Dinner', 'Both', 'Off'], required: true },
+       additionalItems: [{ type: String }],
+     }],
+   }, { collection: 'mealtemplates', timestamps: true });
+
+   // Admin-managed batches; archiving one archives its students
+   const batchSchema = new mongoose.Schema({
+     code: { type: String, required: true, unique: true, match: /^\d{2,4}$/ },
+     archived: { type: Boolean, default: false },
+     archivedAt: { type: Date },
+   }, { collection: 'batches', timestamps: true });
+
+   // Dining halls (hostel messes, a day-scholar counter), each with its own staff, kitchen and meal rate
+   const diningHallSchema = new mongoose.Schema({
+     code: { type: String, required: true, unique: true, match: /^[A-Z][A-Z0-9-]{1,11}$/ },
+     name: { type: String, required: true },
+   }, { collection: 'dininghalls', timestamps: true });
+
+   // Emailed links for verification and password resets; only a hash is stored and each works once
+   const userTokenSchema = new mongoose.Schema({
+     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+     purpose: { type: String, enum: ['VerifyEmail', 'ResetPassword', 'Invite'], required: true },
+     tokenHash: { type: String, required: true, unique: true },
+     expiresAt: { type: Date, required: true },
+     usedAt: { type: Date },
+   }, { collection: 'usertokens' });
+   userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+   // REST API refresh tokens (services/apiTokens.js); only a hash is stored. A family is every token refreshed from one login.
+   const refreshTokenSchema = new mongoose.Schema({
+     accountId: { type: mongoose.Schema.Types.ObjectId, required: true },
+     kind: { type: String, enum: ['student', 'staff'], required: true },
+     family: { type: String, required: true },
+     tokenHash: { type: String, required: true, unique: true },
+     expiresAt: { type: Date, required: true },
+     usedAt: { type: Date },
+     revokedAt: { type: Date },
+   }, { collection: 'refreshtokens', timestamps: true });
+   refreshTokenSchema.index({ family: 1 });
+   refreshTokenSchema.index({ accountId: 1 });
+   refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+   // A browser a student allowed to show notifications (Web Push subscription)
+   const pushSubscriptionSchema = new mongoose.Schema({
+     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+     endpoint: { type: String, required: true, unique: true },
+     keys: {
+       p256dh: { type: String, required: true },
+       auth: { type: String, required: true },
+     },
+   }, { collection: 'pushsubscriptions', timestamps: true });
+   pushSubscriptionSchema.index({ userId: 1 });
+
+   // Notices sent (services/notifier.js); the unique key stops a reminder going out twice
+   const notificationLogSchema = new mongoose.Schema({
+     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+     kind: { type: String, enum: ['UnbookedDay', 'Cutoff', 'LowBalance', 'RequestAnswered'], required: true },
+     key: { type: String, required: true },
+     channels: [{ type: String }],
+   }, { collection: 'notificationlogs', timestamps: true });
+   notificationLogSchema.index({ userId: 1, kind: 1, key: 1 }, { unique: true });
+   notificationLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+   // Audit trail of everything staff do at the counter; date is the meal day, at is when it happened
+   const servingEventSchema = new mongoose.Schema({
+     date: { type: Date, required: true },
+     action: { type: String, enum: ['Serve', 'Unserve', 'Extra', 'StaffUpdate', 'Correction', 'GuestServe'], required: true },
+     mealType: { type: String, enum: ['Lunch', 'Dinner', 'Both', 'Off'] },
+     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+     staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'Staff' },
+     details: { type: String },
+     ip: { type: String },
+     userAgent: { type: String },
+     at: { type: Date, default: Date.now },
+     clientActionId: { type: String }, // Chosen by the serving page, so a resent serve is recognised
+     hall: { type: String }, // The hall a bulk action (no userId) was limited to
+   }, { collection: 'servingevents' });
+   servingEventSchema.index({ date: 1, at: -1 });
+   servingEventSchema.index({ clientActionId: 1 }, { unique: true, partialFilterExpression: { clientActionId: { $type: 'string' } } });
+   servingEventSchema.index({ userId: 1, date: 1, mealType: 1, at: -1 });
+
+   // Days the mess deviates from normal service: closed, serving only one meal, or a feast billed at a fixed charge
+   const calendarDaySchema = new mongoose.Schema({
+     date: { type: Date, required: true, unique: true },
+     type: { type: String, enum: ['Closed', 'LunchOnly', 'DinnerOnly', 'Feast'], required: true },
+     note: { type: String },
+     feastCharge: { type: Number, min: 0, default: 0 },
+     optOutDeadline: { type: Date },
+     optedOut: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+   }, { collection: 'calendardays' });
 
-   userSchema.index({ classRoll: 1, batch: 1 }, { unique: true });
+   // Ledger amounts are signed by their effect on the student's deposit (refunds and fines are negative)
+   const transactionSchema = new mongoose.Schema({
+     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+     type: { type: String, enum: ['Deposit', 'Refund', 'Adjustment', 'Fine'], required: true },
+     amount: { type: Number, required: true },
+     date: { type: Date, default: Date.now },
+     receiptNumber: { type: String },
+     note: { type: String },
+     recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+     reversalOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+     reversedAt: { type: Date },
+   }, { collection: 'transactions', timestamps: true });
+
+   // One-off data migrations that have already run against this database, so start-up skips them
+   const migrationSchema = new mongoose.Schema({
+     name: { type: String, required: true, unique: true },
+     ranAt: { type: Date, default: Date.now },
+   }, { collection: 'migrations' });
+
+   userSchema.index({ classRoll: 1, batch: 1 }, { unique: true, partialFilterExpression: { status: 'Active' }, name: 'active_roll_unique' });
    mealHistorySchema.index({ userId: 1, date: 1 }, { unique: true });
+   bazarExpenseSchema.index({ month: 1, date: 1 });
+   billSchema.index({ month: 1, userId: 1 }, { unique: true });
+   lateRequestSchema.index({ date: 1, status: 1 });
+   guestMealSchema.index({ userId: 1, date: 1, mealType: 1 }, { unique: true });
+   guestMealSchema.index({ date: 1 });
+   mealCorrectionSchema.index({ status: 1, createdAt: 1 });
+   mealCorrectionSchema.index({ userId: 1, createdAt: -1 });
+   transactionSchema.index({ userId: 1, date: -1 });
+   transactionSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
 
    const User = mongoose.model('User', userSchema);
    const MealHistory = mongoose.model('MealHistory', mealHistorySchema);
    const Staff = mongoose.model('Staff', staffSchema);
    const Admin = mongoose.model('Admin', adminSchema);
+   const BazarExpense = mongoose.model('BazarExpense', bazarExpenseSchema);
+   const BillingPeriod = mongoose.model('BillingPeriod', billingPeriodSchema);
+   const Bill = mongoose.model('Bill', billSchema);
+   const Transaction = mongoose.model('Transaction', transactionSchema);
+   const ExtraItem = mongoose.model('ExtraItem', extraItemSchema);
+   const MealCutoff = mongoose.model('MealCutoff', mealCutoffSchema);
+   const LateRequest = mongoose.model('LateRequest', lateRequestSchema);
+   const MealCorrection = mongoose.model('MealCorrection', mealCorrectionSchema);
+   const GuestMeal = mongoose.model('GuestMeal', guestMealSchema);
+   const MessSettings = mongoose.model('MessSettings', messSettingsSchema);
+   const Migration = mongoose.model('Migration', migrationSchema);
+   const mealBooking = createMealBooking({
+     MealHistory,
+     User,
+     onChange: rows => rows.forEach(row => servingFeed.notify(row.date, { userIds: [row.userId] })),
+   });
+   const servingFeed = createServingFeed({ loadBoard: loadServingBoard });
+   const MealTemplate = mongoose.model('MealTemplate', mealTemplateSchema);
+   const CalendarDay = mongoose.model('CalendarDay', calendarDaySchema);
+   const ServingEvent = mongoose.model('ServingEvent', servingEventSchema);
+   const UserToken = mongoose.model('UserToken', userTokenSchema);
+   const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+   const apiTokens = createApiTokens({ RefreshToken, secret: JWT_SECRET });
+   const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+   const NotificationLog = mongoose.model('NotificationLog', notificationLogSchema);
+   const notifier = createNotifier({ User, PushSubscription, NotificationLog, mailer });
+   const Batch = mongoose.model('Batch', batchSchema);
+   const DiningHall = mongoose.model('DiningHall', diningHallSchema);
 
-   // Cron Job: Update meal counts daily at midnight (Asia/Dhaka)
-   cron.schedule('0 0 * * *', async () => {
-     try {
-       console.log('Running daily meal update at', new Date().toLocaleString('en-US', { timeZone: 'Asia/Dhaka' }));
-       const today = new Date();
-       today.setHours(0, 0, 0, 0);
-       const yesterday = new Date(today);
-       yesterday.setDate(today.getDate() - 1);
+   // Billing: a month is identified as 'YYYY-MM' and covers the meal dates inside it. Ledger entries are instants,
+   // so they are cut at midnight on the mess clock.
+   const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+   const roundMoney = amount => Math.round(amount * 100) / 100;
 
-       const users = await User.find().lean();
-       for (const user of users) {
-         let mealHistory = await MealHistory.findOne({ userId: user._id, date: today }).lean();
-         if (!mealHistory) {
-           const previousMeal = await MealHistory.findOne({ userId: user._id, date: yesterday }).lean();
-           mealHistory = await new MealHistory({
-             userId: user._id,
-             date: today,
-             meal: previousMeal?.meal || 'Off',
-             additionalItems: previousMeal?.additionalItems || [],
-             dailyMealCount: previousMeal ? (previousMeal.meal === 'Both' ? 2 : ['Lunch', 'Dinner'].includes(previousMeal.meal) ? 1 : 0) : 0,
-             lunchServed: false,
-             dinnerServed: false,
-           }).save();
+   // Computes (without saving) the meal rates and every student's bill for a month.
+   // Opening balance is the student's latest earlier bill, or their ledger total before the month for a first bill.
+   // Each dining hall's rate is its own expenses over its students' meals plus its share of the shared expenses
+   // (spread over every meal); students without a hall pay the shared rate alone. With no hall expenses this is
+   // the single mess-wide rate.
+   async function computeMonthlyBills(month) {
+     const { start, end } = monthRange(month);
+     const ledgerStart = zonedDateTime(start, '00:00');
+     const ledgerEnd = zonedDateTime(end, '00:00');
+     const expenses = await BazarExpense.find({ month }).sort({ date: 1 }).lean();
+     const totalExpense = roundMoney(expenses.reduce((sum, expense) => sum + expense.amount, 0));
+     const mealTotals = await MealHistory.aggregate([
+       { $match: { date: { $gte: start, $lt: end } } },
+       { $group: {
+         _id: '$userId',
+         mealCount: { $sum: '$dailyMealCount' },
+         additionalCharges: { $sum: { $cond: [{ $eq: ['$meal', 'Off'] }, 0, { $ifNull: ['$additionalCharge', 0] }] } },
+       } },
+     ]);
+     const totalMeals = mealTotals.reduce((sum, mt) => sum + mt.mealCount, 0);
+     const mealRate = totalMeals ? roundMoney(totalExpense / totalMeals) : 0;
+     const users = await User.find({ status: { $in: ['Active', 'Archived'] } }).sort({ batch: 1, classRoll: 1 }).lean();
+     const sharedExpense = roundMoney(expenses.filter(expense => !expense.hall).reduce((sum, expense) => sum + expense.amount, 0));
+     const sharedRate = totalMeals ? sharedExpense / totalMeals : 0;
+     const hallCodes = [...new Set([...expenses, ...users].map(doc => doc.hall).filter(Boolean))].sort();
+     const halls = hallCodes.map(hall => {
+       const hallExpense = roundMoney(expenses.filter(expense => expense.hall === hall).reduce((sum, expense) => sum + expense.amount, 0));
+       const hallUsers = new Set(users.filter(user => user.hall === hall).map(user => user._id.toString()));
+       const hallMeals = mealTotals.filter(mt => hallUsers.has(mt._id.toString())).reduce((sum, mt) => sum + mt.mealCount, 0);
+       return {
+         hall,
+         totalExpense: hallExpense,
+         totalMeals: hallMeals,
+         mealRate: roundMoney(sharedRate + (hallMeals ? hallExpense / hallMeals : 0)),
+       };
+     });
+     const rateFor = hall => halls.find(h => h.hall === hall)?.mealRate ?? roundMoney(sharedRate);
+     const previousBills = await Bill.aggregate([
+       { $match: { month: { $lt: month } } },
+       { $sort: { month: -1 } },
+       { $group: { _id: '$userId', closingBalance: { $first: '$closingBalance' } } },
+     ]);
+     const ledger = await Transaction.aggregate([
+       { $match: { date: { $lt: ledgerEnd } } },
+       { $group: {
+         _id: '$userId',
+         before: { $sum: { $cond: [{ $lt: ['$date', ledgerStart] }, '$amount', 0] } },
+         during: { $sum: { $cond: [{ $gte: ['$date', ledgerStart] }, '$amount', 0] } },
+       } },
+     ]);
+     const feasts = await CalendarDay.find({ type: 'Feast', date: { $gte: start, $lt: end } }).lean();
+     // A feast is charged to the students booked for a meal that day who did not opt out
+     const feastRows = await MealHistory.find({ date: { $in: feasts.map(feast => feast.date) }, meal: { $ne: 'Off' } }, 'userId date').lean();
+     const feastDiners = new Set(feastRows.map(mh => `${mh.userId}|${mh.date.getTime()}`));
+     const guestTotals = await GuestMeal.aggregate([
+       { $match: { date: { $gte: start, $lt: end } } },
+       { $group: { _id: '$userId', charge: { $sum: '$charge' } } },
+     ]);
+     const bills = users.map(user => {
+       const previous = previousBills.find(pb => pb._id.toString() === user._id.toString());
+       const mealTotal = mealTotals.find(mt => mt._id.toString() === user._id.toString());
+       const mealCount = mealTotal?.mealCount || 0;
+       const userLedger = ledger.find(l => l._id.toString() === user._id.toString());
+       const openingBalance = previous ? previous.closingBalance : roundMoney(userLedger?.before || 0);
+       const deposits = roundMoney(userLedger?.during || 0);
+       const userRate = rateFor(user.hall);
+       const mealCharge = roundMoney(mealCount * userRate);
+       const additionalCharges = roundMoney(mealTotal?.additionalCharges || 0);
+       const feastCharges = roundMoney(feasts
+         .filter(feast => feastDiners.has(`${user._id}|${feast.date.getTime()}`))
+         .filter(feast => !feast.optedOut.some(id => id.toString() === user._id.toString()))
+         .reduce((sum, feast) => sum + feast.feastCharge, 0));
+       const guestCharges = roundMoney(guestTotals.find(gt => gt._id.toString() === user._id.toString())?.charge || 0);
+       return {
+         month,
+         userId: user._id,
+         name: user.name,
+         classRoll: user.classRoll,
+         batch: user.batch,
+         gender: user.gender,
+         hall: user.hall,
+         openingBalance,
+         deposits,
+         mealCount,
+         mealRate: userRate,
+         mealCharge,
+         additionalCharges,
+         feastCharges,
+         guestCharges,
+         closingBalance: roundMoney(openingBalance + deposits - mealCharge - additionalCharges - feastCharges - guestCharges),
+       };
+     });
+     return { month, totalExpense, totalMeals, mealRate, sharedExpense, halls, expenses, bills };
+   }
+
+   // Additional items: cutoff times are wall-clock times in the mess timezone on the meal date
+   const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+   async function seedExtraItems() {
+     if (await ExtraItem.exists({})) return;
+     await ExtraItem.insertMany(['Mutton', 'Egg (Poultry)', 'Egg (Fish)'].map(name => ({ name, meals: ['Lunch', 'Dinner'] })));
+   }
+
+   const parseExtraItem = ({ name, price, meals, dailyLimit, cutoffTime, active }) => {
+     const mealList = (Array.isArray(meals) ? meals : [meals]).filter(Boolean);
+     if (!name || !String(name).trim()) return { error: 'Item name required' };
+     if (!(Number(price) >= 0)) return { error: 'Invalid price' };
+     if (!mealList.length || mealList.some(meal => !['Lunch', 'Dinner'].includes(meal))) return { error: 'Select Lunch and/or Dinner' };
+     if (!Number.isInteger(Number(dailyLimit || 0)) || Number(dailyLimit || 0) < 0) return { error: 'Invalid daily limit' };
+     if (cutoffTime && !TIME_PATTERN.test(cutoffTime)) return { error: 'Cutoff time must be HH:MM' };
+     return {
+       item: {
+         name: String(name).trim(),
+         price: Number(price),
+         meals: mealList,
+         dailyLimit: Number(dailyLimit || 0),
+         cutoffTime: cutoffTime || undefined,
+         active: active === undefined ? true : active === true || active === 'true',
+       },
+     };
+   };
+
+   // Validates a student's item selection for one day and returns what it costs.
+   // Cutoff and stock only restrict newly added items, so students can always drop an item.
+   // Staff approving a late request pass enforceLimits: false to override cutoff and stock.
+   async function priceAdditionalItems({ userId, date, meal, items, previousItems = [], enforceLimits = true }) {
+     if (!items.length) return { charge: 0 };
+     if (meal === 'Off') return { error: 'Additional items need Lunch or Dinner to be on' };
+     const catalogue = await ExtraItem.find({ name: { $in: items } }).lean();
+     let charge = 0;
+     for (const name of items) {
+       const item = catalogue.find(ci => ci.name === name);
+       if (!item || !item.active) return { error: `${name} is not available` };
+       if (meal !== 'Both' && !item.meals.includes(meal)) return { error: `${name} is not served with ${meal}` };
+       if (enforceLimits && !previousItems.includes(name)) {
+         if (item.cutoffTime && zonedDateTime(date, item.cutoffTime) < new Date()) return { error: `Orders for ${name} closed at ${item.cutoffTime}` };
+         if (item.dailyLimit) {
+           const taken = await MealHistory.countDocuments({ date, additionalItems: name, meal: { $ne: 'Off' }, userId: { $ne: userId } });
+           if (taken >= item.dailyLimit) return { error: `${name} is out of stock` };
          }
-         const mealCount = mealHistory.meal === 'Both' ? 2 : ['Lunch', 'Dinner'].includes(mealHistory.meal) ? 1 : 0;
-         await MealHistory.updateOne({ _id: mealHistory._id }, { dailyMealCount: mealCount });
-         await User.updateOne({ _id: user._id }, { $inc: { totalMealCount: mealCount - mealHistory.dailyMealCount } });
        }
-       console.log('Daily meal update completed');
-     } catch (error) {
-       console.error('Error in cron job:', error.message);
+       charge += item.price;
      }
-   }, { scheduled: true, timezone: 'Asia/Dhaka' });
-
-   // Routes
-   app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
+     return { charge: roundMoney(charge) };
+   }
 
-   app.get('/signup', (req, res) => res.sendFile(path.join(__dirname, 'public', 'signup.html')));
+   const describeCutoff = rule => {
+     const day = rule.daysBefore === 0 ? 'the same day' : rule.daysBefore === 1 ? 'the day before' : `${rule.daysBefore} days before`;
+     return `${rule.meal} changes lock at ${rule.time} ${day} (${TIMEZONE})`;
+   };
 
-   app.get('/login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'login.html')));
+   // Returns the cutoff rules that have already passed for the meals a change would switch on or off
+   async function findPassedCutoffs(date, oldMeal, newMeal, rules) {
+     if (!rules) rules = await MealCutoff.find().lean();
+     return rules.filter(rule => {
+       if ([rule.meal, 'Both'].includes(oldMeal) === [rule.meal, 'Both'].includes(newMeal)) return false;
+       return zonedDateTime(addDays(date, -rule.daysBefore), rule.time) < new Date();
+     });
+   }
 
-   app.get('/admin/login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin-login.html')));
+   // Calendar: which meals the mess serves on a day, given its calendar entry (if any)
+   const openMealsFor = calendarDay => {
+     if (!calendarDay || calendarDay.type === 'Feast') return ['Lunch', 'Dinner'];
+     if (calendarDay.type === 'LunchOnly') return ['Lunch'];
+     if (calendarDay.type === 'DinnerOnly') return ['Dinner'];
+     return [];
+   };
 
-   app.get('/staff/login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'staff-login.html')));
+   // Drops the meals the mess isn't serving, e.g. Both on a lunch-only day becomes Lunch
+   const clampMeal = (meal, openMeals) => {
+     const lunch = ['Lunch', 'Both'].includes(meal) && openMeals.includes('Lunch');
+     const dinner = ['Dinner', 'Both'].includes(meal) && openMeals.includes('Dinner');
+     return lunch && dinner ? 'Both' : lunch ? 'Lunch' : dinner ? 'Dinner' : 'Off';
+   };
 
-   app.get('/meal-update', requireLogin, (req, res) => res.sendFile(path.join(__dirname, 'public', 'meal-update.html')));
+   const describeClosure = calendarDay => calendarDay.type === 'Closed'
+     ? `The mess is closed on this day${calendarDay.note ? ` (${calendarDay.note})` : ''}`
+     : `Only ${openMealsFor(calendarDay)[0].toLowerCase()} is served on this day${calendarDay.note ? ` (${calendarDay.note})` : ''}`;
 
-   app.get('/meal-update.html', requireLogin, (req, res) => res.sendFile(path.join(__dirname, 'public', 'meal-update.html')));
+   // The update that brings an existing row in line with the meals served that day, or null if it already is
+   const calendarMealUpdate = (mealHistory, openMeals) => {
+     const meal = clampMeal(mealHistory.meal, openMeals);
+     if (meal === mealHistory.meal) return null;
+     return {
+       meal,
+       dailyMealCount: countMeals(meal),
+       lunchServed: ['Both', 'Lunch'].includes(meal) ? mealHistory.lunchServed : false,
+       dinnerServed: ['Both', 'Dinner'].includes(meal) ? mealHistory.dinnerServed : false,
+       ...(meal === 'Off' ? { additionalItems: [], additionalCharge: 0 } : {}),
+     };
+   };
 
-   app.get('/meal-dashboard', requireLogin, async (req, res) => {
-     try {
-       const user = await User.findById(req.session.userId).lean();
-       if (!user) return res.status(401).json({ error: 'User not found' });
-       res.json({
-         name: user.name,
-         classRoll: user.classRoll,
-         batch: user.batch,
-         gender: user.gender,
-         totalMealCount: user.totalMealCount,
-         deposit: user.deposit,
-       });
-     } catch (error) {
-       console.error('Error fetching dashboard:', error.message);
-       res.status(500).json({ error: 'Server error' });
+   // Forces every booking already made for a calendar day to respect it
+   async function applyCalendarDay(calendarDay) {
+     const openMeals = openMealsFor(calendarDay);
+     const mealHistories = await MealHistory.find({ date: calendarDay.date }).lean();
+     let changed = 0;
+     for (const mealHistory of mealHistories) {
+       const update = calendarMealUpdate(mealHistory, openMeals);
+       if (!update) continue;
+       await mealBooking.bookDay({ userId: mealHistory.userId, date: mealHistory.date, meal: update.meal, changes: update });
+       changed++;
      }
-   });
+     const guests = await GuestMeal.deleteMany({ date: calendarDay.date, mealType: { $nin: openMeals }, servedCount: 0 });
+     if (guests.deletedCount) servingFeed.notify(calendarDay.date);
+     return changed;
+   }
 
-   app.get('/meal-dashboard.html', requireLogin, (req, res) => res.sendFile(path.join(__dirname, 'public', 'meal-dashboard.html')));
+   // Parses 'YYYY-MM-DDTHH:MM' as a wall-clock time in the mess timezone
+   const parseZonedDateTime = value => {
+     const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})$/.exec(value || '');
+     const day = match && parseDay(match[1]);
+     return day ? zonedDateTime(day, match[2]) : null;
+   };
 
-   app.get('/api/meal-history', requireLogin, async (req, res) => {
-     try {
-       const mealHistories = await MealHistory.find({ userId: req.session.userId }).sort({ date: -1 }).lean();
-       res.json(mealHistories);
-     } catch (error) {
-       console.error('Error fetching meal history:', error.message);
-       res.status(500).json({ error: 'Failed to fetch meal history' });
+   // Works out what booking `meal` on every matching day of a range would change for one student.
+   // Past days, days a Reject cutoff locks and days that already have that meal are reported as skipped; days past a
+   // Queue cutoff carry the reason as lateRequest and go to staff, as a single-day change would.
+   const MAX_RANGE_DAYS = 62;
+   async function planMealRange({ userId, from, to, meal, weekdays, session = null }) {
+     const rules = await MealCutoff.find().session(session).lean();
+     const existing = await MealHistory.find({ userId, date: { $gte: from, $lte: to } }).session(session).lean();
+     const calendarDays = await CalendarDay.find({ date: { $gte: from, $lte: to } }).session(session).lean();
+     const days = [];
+     for (let date = from; date <= to; date = addDays(date, 1)) {
+       if (weekdays && !weekdays.includes(weekday(date))) continue;
+       const mealHistory = existing.find(mh => mh.date.getTime() === date.getTime());
+       const oldMeal = mealHistory?.meal || 'Off';
+       const plan = { date, mealHistory, oldMeal, newMeal: meal, change: 0, skipped: null, lateRequest: null };
+       const passedCutoffs = await findPassedCutoffs(date, oldMeal, meal, rules);
+       const calendarDay = calendarDays.find(cd => cd.date.getTime() === date.getTime());
+       if (isPastDay(date)) plan.skipped = 'Past date';
+       else if (oldMeal === meal) plan.skipped = 'Already booked';
+       else if (clampMeal(meal, openMealsFor(calendarDay)) !== meal) plan.skipped = describeClosure(calendarDay);
+       else if (passedCutoffs.some(rule => rule.lateAction === 'Reject')) plan.skipped = `Too late: ${passedCutoffs.map(describeCutoff).join('; ')}`;
+       else if (passedCutoffs.length) plan.lateRequest = passedCutoffs.map(describeCutoff).join('; ');
+       else plan.change = countMeals(meal) - countMeals(oldMeal);
+       days.push(plan);
      }
-   });
+     return days;
+   }
 
-   app.get('/create-admin', async (req, res) => {
-     try {
-       if (await Admin.findOne({ email: 'admin@example.com' }).lean()) return res.status(400).send('Admin already exists');
-       const hashedPassword = await bcrypt.hash('admin123', 10);
-       await new Admin({ email: 'admin@example.com', password: hashedPassword }).save();
-       res.send('Admin created successfully');
-     } catch (error) {
-       console.error('Error creating admin:', error.message);
-       res.status(500).send('Failed to create admin');
-     }
-   });
+   const parseMealRange = ({ from, to, meal, weekdays }) => {
+     if (!['Lunch', 'Dinner', 'Both', 'Off'].includes(meal)) return { error: 'Invalid meal type' };
+     if (!from || !to) return { error: 'From and to dates required' };
+     const fromDate = parseDay(from);
+     const toDate = parseDay(to);
+     if (!fromDate || !toDate || fromDate > toDate) return { error: 'Invalid date range' };
+     if ((toDate - fromDate) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+     const weekdayList = weekdays === undefined ? null : (Array.isArray(weekdays) ? weekdays : [weekdays]).map(Number);
+     if (weekdayList && (!weekdayList.length || weekdayList.some(day => !Number.isInteger(day) || day < 0 || day > 6))) return { error: 'Invalid weekdays' };
+     return { range: { from: fromDate, to: toDate, meal, weekdays: weekdayList } };
+   };
 
-   app.get('/create-staff', async (req, res) => {
-     try {
-       if (await Staff.findOne({ email: 'staff@example.com' }).lean()) return res.status(400).send('Staff already exists');
-       const hashedPassword = await bcrypt.hash('staff123', 10);
-       await new Staff({ email: 'staff@example.com', password: hashedPassword }).save();
-       res.send('Staff created successfully');
-     } catch (error) {
-       console.error('Error creating staff:', error.message);
-       res.status(500).send('Failed to create staff');
-     }
-   });
+   const summarizeMealRange = (days, totalMealCount) => {
+     const totalChange = days.reduce((sum, day) => sum + day.change, 0);
+     return {
+       days: days.map(({ date, oldMeal, newMeal, change, skipped, lateRequest }) => ({ date: dayKey(date), oldMeal, newMeal, change, skipped, lateRequest })),
+       totalChange,
+       currentTotal: totalMealCount,
+       newTotal: totalMealCount + totalChange,
+     };
+   };
 
-   app.post('/admin/login', async (req, res) => {
-     const { email, password } = req.body;
-     try {
-       const admin = await Admin.findOne({ email }).lean();
-       if (!admin || !(await bcrypt.compare(password, admin.password))) return res.status(401).send('Invalid credentials');
-       req.session.admin = true;
-       await req.session.save();
-       res.redirect('/admin/dashboard');
-     } catch (error) {
-       console.error('Error during admin login:', error.message);
-       res.status(500).send('Server error');
-     }
-   });
+   // Meal templates
+   const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-   app.post('/staff/login', async (req, res) => {
-     const { email, password } = req.body;
-     try {
-       const staff = await Staff.findOne({ email }).lean();
-       if (!staff || !(await bcrypt.compare(password, staff.password))) return res.status(401).send('Invalid credentials');
-       req.session.staff = true;
-       await req.session.save();
-       res.redirect('/staff/serving');
-     } catch (error) {
-       console.error('Error during staff login:', error.message);
-       res.status(500).send('Server error');
+   async function parseMealTemplate(days) {
+     if (!Array.isArray(days) || days.length !== 7) return { error: 'A template needs all seven days' };
+     const catalogue = await ExtraItem.find({ active: true }).lean();
+     const parsed = [];
+     for (let weekday = 0; weekday < 7; weekday++) {
+       const day = days.find(d => Number(d.weekday) === weekday);
+       if (!day) return { error: `${WEEKDAY_NAMES[weekday]} is missing` };
+       if (!['Lunch', 'Dinner', 'Both', 'Off'].includes(day.meal)) return { error: `Invalid meal for ${WEEKDAY_NAMES[weekday]}` };
+       const additionalItems = [...new Set((Array.isArray(day.additionalItems) ? day.additionalItems : [day.additionalItems]).filter(Boolean))];
+       if (additionalItems.length && day.meal === 'Off') return { error: `${WEEKDAY_NAMES[weekday]} is Off, so it cannot have additional items` };
+       for (const name of additionalItems) {
+         const item = catalogue.find(ci => ci.name === name);
+         if (!item) return { error: `${name} is not available` };
+         if (day.meal !== 'Both' && !item.meals.includes(day.meal)) return { error: `${name} is not served with ${day.meal} on ${WEEKDAY_NAMES[weekday]}` };
+       }
+       parsed.push({ weekday, meal: day.meal, additionalItems });
      }
-   });
+     return { days: parsed };
+   }
 
-   app.post('/signup', async (req, res) => {
-     const { name, classRoll, email, password, gender, batch } = req.body;
-     try {
-       if (!name || !classRoll || !email || !password || !gender || !batch) return res.status(400).send('All fields required');
-       if (await User.findOne({ email }).lean()) return res.status(400).send('User already exists');
-       if (!['09', '10', '11', '12', '13'].includes(batch)) return res.status(400).send('Invalid batch');
-       if (!['Male', 'Female'].includes(gender)) return res.status(400).send('Invalid gender');
-       if (classRoll < 1 || classRoll > 100) return res.status(400).send('Invalid class roll');
-       if (await User.findOne({ classRoll, batch }).lean()) return res.status(400).send('Class roll exists for this batch');
-       const hashedPassword = await bcrypt.hash(password, 10);
-       const user = await new User({ name, classRoll, email, password: hashedPassword, gender, batch }).save();
-       req.session.userId = user._id.toString();
-       await req.session.save();
-       res.redirect('/meal-dashboard.html');
-     } catch (error) {
-       console.error('Error during signup:', error.message);
-       res.status(500).send('Error signing up');
+   // Items carried into a day the student did not book (from their template or their previous day) that were
+   // retired, have closed for orders or have sold out for the day are dropped rather than failing the whole row
+   async function availableTemplateItems(meal, names, date) {
+     if (meal === 'Off' || !names.length) return { additionalItems: [], additionalCharge: 0 };
+     const catalogue = await ExtraItem.find({ name: { $in: names }, active: true }).lean();
+     const additionalItems = [];
+     let additionalCharge = 0;
+     for (const item of catalogue) {
+       if (meal !== 'Both' && !item.meals.includes(meal)) continue;
+       if (item.cutoffTime && zonedDateTime(date, item.cutoffTime) < new Date()) continue;
+       if (item.dailyLimit && await MealHistory.countDocuments({ date, additionalItems: item.name, meal: { $ne: 'Off' } }) >= item.dailyLimit) continue;
+       additionalItems.push(item.name);
+       additionalCharge += item.price;
      }
-   });
+     return { additionalItems, additionalCharge: roundMoney(additionalCharge) };
+   }
 
-   app.post('/login', async (req, res) => {
-     const { email, password } = req.body;
-     try {
-       if (!email || !password) return res.status(400).send('Email and password required');
-       const user = await User.findOne({ email }).lean();
-       if (!user || !(await bcrypt.compare(password, user.password))) return res.status(400).send('Invalid credentials');
-       req.session.userId = user._id.toString();
-       await req.session.save();
-       res.redirect('/meal-dashboard.html');
-     } catch (error) {
-       console.error('Error during login:', error.message);
-       res.status(500).send('Error logging in');
+   // Builds the row for a day the student never booked: their weekly template if they have one,
+   // otherwise a copy of their most recent earlier day. Either way the day's calendar entry has the last word.
+   async function defaultMealHistory(userId, date) {
+     const template = await MealTemplate.findOne({ userId }).lean();
+     const templateDay = template?.days.find(day => day.weekday === weekday(date));
+     const openMeals = openMealsFor(await CalendarDay.findOne({ date }).lean());
+     let meal, items;
+     if (templateDay) {
+       meal = clampMeal(templateDay.meal, openMeals);
+       items = await availableTemplateItems(meal, templateDay.additionalItems, date);
+     } else {
+       // Days the calendar cut back are skipped so service resumes as normal after a closure
+       const restrictedDates = await CalendarDay.find({ date: { $lt: date }, type: { $ne: 'Feast' } }).distinct('date');
+       const previousMeal = await MealHistory.findOne({ userId, date: { $lt: date, $nin: restrictedDates } }).sort({ date: -1 }).lean();
+       meal = clampMeal(previousMeal?.meal || 'Off', openMeals);
+       items = await availableTemplateItems(meal, previousMeal?.additionalItems || [], date);
      }
-   });
+     return { userId, date, meal, ...items, dailyMealCount: countMeals(meal), lunchServed: false, dinnerServed: false };
+   }
 
-   app.post('/meal-update', requireLogin, async (req, res) => {
-     const { meal, additionalItems, date } = req.body;
-     try {
-       if (!['Lunch', 'Dinner', 'Both', 'Off'].includes(meal)) return res.status(400).json({ error: 'Invalid meal type' });
-       if (!date) return res.status(400).json({ error: 'Date required' });
-       const selectedDate = new Date(date);
-       selectedDate.setHours(0, 0, 0, 0);
-       if (new Date(selectedDate.getTime() + 24 * 60 * 60 * 1000 - 1) < new Date()) return res.status(400).json({ error: 'Cannot update past date' });
-       const user = await User.findById(req.session.userId).lean();
-       if (!user) return res.status(401).json({ error: 'User not found' });
-       const additionalItemsArray = Array.isArray(additionalItems) ? additionalItems.filter(Boolean) : [additionalItems].filter(Boolean);
-       let mealHistory = await MealHistory.findOne({ userId: req.session.userId, date: selectedDate }).lean();
-       const newMealCount = meal === 'Both' ? 2 : ['Lunch', 'Dinner'].includes(meal) ? 1 : 0;
-       if (mealHistory) {
-         const oldMealCount = mealHistory.meal === 'Both' ? 2 : ['Lunch', 'Dinner'].includes(mealHistory.meal) ? 1 : 0;
-         await MealHistory.updateOne({ _id: mealHistory._id }, {
-           meal,
-           additionalItems: additionalItemsArray,
-           dailyMealCount: newMealCount,
-           lunchServed: ['Both', 'Lunch'].includes(meal) ? mealHistory.lunchServed : false,
-           dinnerServed: ['Both', 'Dinner'].includes(meal) ? mealHistory.dinnerServed : false,
+   // Kitchen forecast: booked rows where they exist, otherwise the row defaultMealHistory would create,
+   // projected in memory day by day (stock limits are ignored, the kitchen wants the demand)
+   const MAX_FORECAST_DAYS = 14;
+
+   async function buildMealForecast(from, days, hall = null) {
+     const to = addDays(from, days - 1);
+     const lastWeekFrom = addDays(from, -7);
+     const lastWeekTo = addDays(to, -7);
+     const inHall = await hallUserFilter(hall);
+     const [users, mealHistories, guestMeals, templates, calendarDays, activeItems, extras] = await Promise.all([
+       User.find({ status: 'Active', ...(hall && { hall }) }).lean(),
+       MealHistory.find({ date: { $gte: from, $lte: to }, ...inHall }).lean(),
+       GuestMeal.find({ date: { $gte: from, $lte: to }, ...inHall }).lean(),
+       MealTemplate.find(inHall).lean(),
+       CalendarDay.find({ date: { $lte: to } }).lean(),
+       ExtraItem.find({ active: true }).lean(),
+       MealHistory.find({ date: { $gte: lastWeekFrom, $lte: lastWeekTo }, isExtra: true, ...inHall }).lean(),
+     ]);
+     const restrictedDates = calendarDays.filter(cd => cd.date < from && cd.type !== 'Feast').map(cd => cd.date);
+     const lastRows = await MealHistory.aggregate([
+       { $match: { date: { $lt: from, $nin: restrictedDates } } },
+       { $sort: { date: -1 } },
+       { $group: { _id: '$userId', meal: { $first: '$meal' }, additionalItems: { $first: '$additionalItems' } } },
+     ]);
+     const previous = new Map(lastRows.map(row => [row._id.toString(), row]));
+     const booked = new Map(mealHistories.map(mh => [`${mh.userId}|${mh.date.getTime()}`, mh]));
+     const templatesByUser = new Map(templates.map(t => [t.userId.toString(), t]));
+     const templateItems = (meal, names) => meal === 'Off' ? [] : names.filter(name => {
+       const item = activeItems.find(i => i.name === name);
+       return item && (meal === 'Both' || item.meals.includes(meal));
+     });
+
+     const forecast = [];
+     for (let day = from; day <= to; day = addDays(day, 1)) {
+       const calendarDay = calendarDays.find(cd => cd.date.getTime() === day.getTime());
+       const openMeals = openMealsFor(calendarDay);
+       const summary = {
+         date: day,
+         calendar: calendarDay ? { type: calendarDay.type, note: calendarDay.note } : null,
+         lunch: { total: 0, byGender: {}, byBatch: {} },
+         dinner: { total: 0, byGender: {}, byBatch: {} },
+         items: {},
+         totalMeals: 0,
+         projected: 0,
+       };
+       for (const user of users) {
+         const key = user._id.toString();
+         let row = booked.get(`${key}|${day.getTime()}`);
+         if (!row) {
+           const templateDay = templatesByUser.get(key)?.days.find(d => d.weekday === weekday(day));
+           const source = templateDay || previous.get(key) || { meal: 'Off', additionalItems: [] };
+           const meal = clampMeal(source.meal, openMeals);
+           row = { meal, additionalItems: templateDay ? templateItems(meal, source.additionalItems) : meal === 'Off' ? [] : source.additionalItems };
+           summary.projected++;
+         }
+         if (!calendarDay || calendarDay.type === 'Feast') previous.set(key, row);
+         if (row.meal === 'Off') continue;
+         for (const [meal, bucket] of [['Lunch', summary.lunch], ['Dinner', summary.dinner]]) {
+           if (![meal, 'Both'].includes(row.meal)) continue;
+           bucket.total++;
+           bucket.byGender[user.gender] = (bucket.byGender[user.gender] || 0) + 1;
+           bucket.byBatch[user.batch] = (bucket.byBatch[user.batch] || 0) + 1;
+         }
+         row.additionalItems.forEach(item => {
+           summary.items[item] = (summary.items[item] || 0) + 1;
          });
-         await User.updateOne({ _id: req.session.userId }, { $inc: { totalMealCount: newMealCount - oldMealCount } });
-       } else {
-         await new MealHistory({
-           userId: req.session.userId,
-           date: selectedDate,
-           meal,
-           additionalItems: additionalItemsArray,
-           dailyMealCount: newMealCount,
-           lunchServed: false,
-           dinnerServed: false,
-         }).save();
-         await User.updateOne({ _id: req.session.userId }, { $inc: { totalMealCount: newMealCount } });
        }
-       res.json({ message: 'Meal updated successfully' });
-     } catch (error) {
-       console.error('Error updating meal:', error.message);
-       res.status(500).json({ error: 'Failed to update meal' });
+       const dayGuests = guestMeals.filter(gm => gm.date.getTime() === day.getTime());
+       summary.guests = {
+         lunch: dayGuests.filter(gm => gm.mealType === 'Lunch').reduce((sum, gm) => sum + gm.count, 0),
+         dinner: dayGuests.filter(gm => gm.mealType === 'Dinner').reduce((sum, gm) => sum + gm.count, 0),
+       };
+       summary.totalMeals = summary.lunch.total + summary.dinner.total + summary.guests.lunch + summary.guests.dinner;
+       const lastWeek = addDays(day, -7);
+       const lastWeekExtras = extras.filter(mh => mh.date.getTime() === lastWeek.getTime());
+       summary.extrasLastWeek = {
+         date: lastWeek,
+         lunch: lastWeekExtras.filter(mh => ['Lunch', 'Both'].includes(mh.meal)).length,
+         dinner: lastWeekExtras.filter(mh => ['Dinner', 'Both'].includes(mh.meal)).length,
+       };
+       forecast.push(summary);
      }
-   });
+     return forecast;
+   }
 
-   app.get('/admin/dashboard', requireAdmin, async (req, res) => {
-     const { batch, gender } = req.query;
-     try {
-       let query = {};
-       if (batch && batch !== 'all') query.batch = batch;
-       if (gender && gender !== 'all') query.gender = gender;
-       const users = await User.find(query).sort({ batch: 1, classRoll: 1 }).lean();
-       res.render('admin-dashboard', {
-         users,
-         batches: ['09', '10', '11', '12', '13'],
-         genders: ['Male', 'Female'],
-         selectedBatch: batch || 'all',
-         selectedGender: gender || 'all',
-       });
-     } catch (error) {
-       console.error('Error loading admin dashboard:', error.message);
-       res.status(500).send('Server error');
+   const getMessSettings = async () => (await MessSettings.findOne().lean()) || { guestMealRate: 0 };
+
+   const REMINDER_DEFAULTS = {
+     unbookedDay: true,
+     cutoff: true,
+     cutoffMinutes: 60,
+     lowBalance: true,
+     lowBalanceThreshold: 500,
+     requestAnswered: true,
+   };
+
+   const getReminderSettings = async () => ({ ...REMINDER_DEFAULTS, ...(await getMessSettings()).reminders });
+
+   // Guest meals: booked per host, date and meal, under the same calendar and cutoff rules as the host's own meal
+   const MAX_GUESTS_PER_MEAL = 10;
+   async function checkGuestBooking(date, mealType) {
+     if (isPastDay(date)) return 'Cannot book guests for a past date';
+     const calendarDay = await CalendarDay.findOne({ date }).lean();
+     if (!openMealsFor(calendarDay).includes(mealType)) return describeClosure(calendarDay);
+     const passedCutoffs = await findPassedCutoffs(date, 'Off', mealType);
+     if (passedCutoffs.length) return passedCutoffs.map(describeCutoff).join('; ');
+     return null;
+   }
+
+   // Serving: the checks shared by the staff table and the QR scanner
+   async function serveMeal(userId, mealType, date) {
+     let mealHistory = await MealHistory.findOne({ userId, date }).lean();
+     if (!mealHistory) {
+       const user = await User.findById(userId).lean();
+       if (!user) return { status: 404, error: 'User not found' };
+       if (user.status !== 'Active') return { status: 400, error: 'Account is not active' };
+       mealHistory = await mealBooking.ensureDay(user._id, date, () => defaultMealHistory(user._id, date));
      }
-   });
+     const servedField = mealType === 'Lunch' ? 'lunchServed' : 'dinnerServed';
+     if (mealHistory.meal === 'Off') return { status: 400, error: 'Cannot serve meal for Off status', conflict: 'notBooked' };
+     if (mealHistory[servedField]) return { status: 400, error: `${mealType} already served`, conflict: 'served' };
+     if (![mealType, 'Both'].includes(mealHistory.meal)) return { status: 400, error: `${mealType} not enabled`, conflict: 'notBooked' };
+     // Only the first of two devices serving at once gets the meal
+     const served = await MealHistory.updateOne({ _id: mealHistory._id, [servedField]: false }, { [servedField]: true });
+     if (!served.modifiedCount) return { status: 400, error: `${mealType} already served`, conflict: 'served' };
+     return { message: `${mealType} served successfully` };
+   }
 
-   app.get('/staff/serving', requireStaff, async (req, res) => {
-     const { batch, gender, date } = req.query;
-     try {
-       let query = {};
-       if (batch && batch !== 'all') query.batch = batch;
-       if (gender && gender !== 'all') query.gender = gender;
-       let users = await User.find(query).sort({ batch: 1, classRoll: 1 }).lean();
-       if (!users.length && Object.keys(query).length) users = await User.find().sort({ batch: 1, classRoll: 1 }).lean();
-       const selectedDate = date ? new Date(date) : new Date();
-       selectedDate.setHours(0, 0, 0, 0);
-       let mealHistories = await MealHistory.find({ date: selectedDate }).lean();
-       if (mealHistories.length < users.length) {
-         for (const user of users) {
-           if (!mealHistories.find(mh => mh.userId.toString() === user._id.toString())) {
-             const previousMeal = await MealHistory.findOne({ userId: user._id, date: { $lt: selectedDate } }).sort({ date: -1 }).lean();
-             await new MealHistory({
-               userId: user._id,
-               date: selectedDate,
-               meal: previousMeal?.meal || 'Off',
-               additionalItems: previousMeal?.additionalItems || [],
-               dailyMealCount: previousMeal ? (previousMeal.meal === 'Both' ? 2 : ['Lunch', 'Dinner'].includes(previousMeal.meal) ? 1 : 0) : 0,
-               lunchServed: false,
-               dinnerServed: false,
-             }).save();
-           }
-         }
-         mealHistories = await MealHistory.find({ date: selectedDate }).lean();
-       }
-       res.render('staff-serving', {
-         users,
-         mealHistories,
-         batches: ['09', '10', '11', '12', '13'],
-         genders: ['Male', 'Female'],
-         selectedBatch: batch || 'all',
-         selectedGender: gender || 'all',
-         selectedDate: selectedDate.toISOString().split('T')[0],
-         isEditable: true,
+   // Serving events a hall's staff see: those about its students, and bulk actions that covered it
+   async function hallEventFilter(hall) {
+     if (!hall) return {};
+     const { userId } = await hallUserFilter(hall);
+     return { $or: [{ userId }, { userId: null, hall: { $in: [hall, null] } }] };
+   }
+
+   // Every change made from the serving table is logged, then pushed to the live boards showing that date
+   async function logServingEvent(req, event) {
+     const servingEvent = await ServingEvent.create({
+       ...event,
+       staffId: staffIdOf(req),
+       ip: req.ip,
+       userAgent: req.get('user-agent'),
+     });
+     servingFeed.notify(servingEvent.date, { userIds: event.userId ? [event.userId] : [], eventIds: [servingEvent._id] });
+     return servingEvent;
+   }
+
+   // Lunch and Dinner tallies for the counter: students booked and served, guests booked and served
+   function servingCounts(mealHistories, guestMeals) {
+     const counts = { total: guestMeals.reduce((sum, gm) => sum + gm.count, 0) };
+     mealHistories.forEach(mh => { counts.total += mh.dailyMealCount; });
+     for (const mealType of ['Lunch', 'Dinner']) {
+       const servedField = mealType === 'Lunch' ? 'lunchServed' : 'dinnerServed';
+       const booked = mealHistories.filter(mh => [mealType, 'Both'].includes(mh.meal));
+       const guests = guestMeals.filter(gm => gm.mealType === mealType);
+       counts[mealType.toLowerCase()] = {
+         booked: booked.length,
+         served: booked.filter(mh => mh[servedField]).length,
+         guests: guests.reduce((sum, gm) => sum + gm.count, 0),
+         guestsServed: guests.reduce((sum, gm) => sum + gm.servedCount, 0),
+       };
+     }
+     return counts;
+   }
+
+   // What the serving page and counter display show for a date. Pushed updates carry only the rows of the students
+   // in userIds and the serving events in eventIds; a full board (no userIds) carries every row. A hall limits the
+   // board to its students.
+   async function loadServingBoard(date, { userIds = null, eventIds = [], hall = null } = {}) {
+     const at = new Date();
+     const inHall = await hallUserFilter(hall);
+     const mealHistories = await MealHistory.find({ date, ...inHall }, 'userId meal isExtra additionalItems dailyMealCount lunchServed dinnerServed').lean();
+     const guestMeals = await GuestMeal.find({ date, ...inHall }).populate('userId', 'name classRoll batch').sort({ mealType: 1 }).lean();
+     const events = eventIds.length
+       ? await ServingEvent.find({ _id: { $in: eventIds }, ...(await hallEventFilter(hall)) })
+         .populate('userId', 'name classRoll batch')
+         .populate('staffId', 'email')
+         .sort({ at: -1 })
+         .lean()
+       : [];
+     const wanted = userIds && new Set(userIds.map(String));
+     return {
+       date: dayKey(date),
+       at,
+       rows: wanted ? mealHistories.filter(mh => wanted.has(mh.userId.toString())) : mealHistories,
+       guestMeals,
+       events,
+       counts: servingCounts(mealHistories, guestMeals),
+     };
+   }
+
+   // Correction requests: served flags only make sense for meals that are on
+   const parseMealSnapshot = ({ meal, lunchServed, dinnerServed }) => {
+     if (!['Lunch', 'Dinner', 'Both', 'Off'].includes(meal)) return { error: 'Invalid meal type' };
+     const snapshot = { meal, lunchServed: lunchServed === true || lunchServed === 'true', dinnerServed: dinnerServed === true || dinnerServed === 'true' };
+     if (snapshot.lunchServed && !['Lunch', 'Both'].includes(meal)) return { error: 'Lunch cannot be served when it is not booked' };
+     if (snapshot.dinnerServed && !['Dinner', 'Both'].includes(meal)) return { error: 'Dinner cannot be served when it is not booked' };
+     return { snapshot };
+   };
+
+   const sameMealSnapshot = (a, b) => a.meal === b.meal && !!a.lunchServed === !!b.lunchServed && !!a.dinnerServed === !!b.dinnerServed;
+
+   const describeMealSnapshot = ({ meal, lunchServed, dinnerServed }) =>
+     [meal, lunchServed && 'lunch served', dinnerServed && 'dinner served'].filter(Boolean).join(', ');
+
+   // Attaches each request's serving audit trail (everything logged for that student on that day)
+   async function withServingTrail(corrections) {
+     if (!corrections.length) return corrections;
+     const studentId = correction => String(correction.userId?._id || correction.userId);
+     const events = await ServingEvent.find({ $or: corrections.map(c => ({ userId: studentId(c), date: c.date })) })
+       .populate('staffId', 'name email')
+       .sort({ at: 1 })
+       .lean();
+     return corrections.map(correction => ({
+       ...correction,
+       events: events.filter(e => String(e.userId) === studentId(correction) && e.date.getTime() === correction.date.getTime()),
+     }));
+   }
+
+   // Check-in tokens: '<userId>.<YYYY-MM-DD>.<signature>', valid only on the day they name
+   const signCheckIn = (userId, day) => crypto.createHmac('sha256', QR_TOKEN_SECRET).update(`${userId}.${day}`).digest('base64url');
+
+   const createCheckInToken = (userId, date) => `${userId}.${dayKey(date)}.${signCheckIn(userId, dayKey(date))}`;
+
+   // Returns the userId the token was issued to, or null if it is forged or not for this date
+   function verifyCheckInToken(token, date) {
+     const [userId, day, signature] = String(token || '').trim().split('.');
+     if (!mongoose.Types.ObjectId.isValid(userId) || day !== dayKey(date) || !signature) return null;
+     const expected = Buffer.from(signCheckIn(userId, day));
+     const actual = Buffer.from(signature);
+     return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? userId : null;
+   }
+
+   // Student email links
+   const TOKEN_LIFETIMES = { VerifyEmail: 24 * 60 * 60 * 1000, ResetPassword: 60 * 60 * 1000, Invite: 7 * 24 * 60 * 60 * 1000 };
+
+   const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+   const appUrl = () => {
+     if (!APP_URL) throw new Error('APP_URL is not set; emailed links need the public address');
+     return APP_URL;
+   };
+
+   // Issues a fresh token, retiring any unused one for the same purpose
+   async function issueUserToken(userId, purpose) {
+     await UserToken.updateMany({ userId, purpose, usedAt: null }, { usedAt: new Date() });
+     const token = crypto.randomBytes(32).toString('base64url');
+     await new UserToken({ userId, purpose, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + TOKEN_LIFETIMES[purpose]) }).save();
+     return token;
+   }
+
+   // Marks the token used and returns it, or null if it is unknown, used or expired; purpose may be a list
+   const consumeUserToken = (token, purpose) => UserToken.findOneAndUpdate(
+     { tokenHash: hashToken(String(token || '')), purpose: { $in: [].concat(purpose) }, usedAt: null, expiresAt: { $gt: new Date() } },
+     { usedAt: new Date() },
+     { new: true },
+   ).lean();
+
+   async function sendVerificationEmail(user) {
+     const link = `${appUrl()}/verify-email?token=${await issueUserToken(user._id, 'VerifyEmail')}`;
+     await mailer.send({
+       to: user.email,
+       subject: 'Confirm your email for the meal system',
+       text: `Hi ${user.name},\n\nConfirm your email to start booking meals:\n${link}\n\nThis link expires in 24 hours.`,
+     });
+   }
+
+   async function sendPasswordResetEmail(user) {
+     const link = `${appUrl()}/reset-password?token=${await issueUserToken(user._id, 'ResetPassword')}`;
+     await mailer.send({
+       to: user.email,
+       subject: 'Reset your meal system password',
+       text: `Hi ${user.name},\n\nReset your password here:\n${link}\n\nThis link expires in 1 hour. If you did not ask for it, ignore this email.`,
+     });
+   }
+
+   async function sendInviteEmail(user) {
+     const link = `${appUrl()}/reset-password?token=${await issueUserToken(user._id, 'Invite')}`;
+     await mailer.send({
+       to: user.email,
+       subject: 'Your meal system account is ready',
+       text: `Hi ${user.name},\n\nAn account has been created for you (batch ${user.batch}, roll ${user.classRoll}). Choose a password to get started:\n${link}\n\nThis link expires in 7 days.`,
+     });
+   }
+
+   // Batches: the codes the mess started with are seeded once, after that admins add and archive them
+   async function seedBatches() {
+     if (await Batch.exists({})) return;
+     await Batch.insertMany(['09', '10', '11', '12', '13'].map(code => ({ code })));
+   }
+
+   const activeBatchCodes = async () => (await Batch.find({ archived: false }).sort({ code: 1 }).lean()).map(batch => batch.code);
+
+   // Dining halls: students and staff hold a hall code. Staff assigned to a hall only see and serve its students;
+   // staff without one, and admins, cover every hall and can narrow a page to one.
+   const HALL_CODE_PATTERN = /^[A-Z][A-Z0-9-]{1,11}$/;
+   const OTHER_HALL_ERROR = 'Student belongs to another dining hall';
+
+   const listHalls = () => DiningHall.find().sort({ code: 1 }).lean();
+
+   // The hall a staff session or API token is limited to, or null
+   const staffHallOf = req => (req.apiAccount ? req.apiAccount.hall : req.session.staffHall) || null;
+
+   // The hall a staff request covers: the account's own, otherwise the one asked for; null (or 'all') is every hall
+   const requestedHall = (req, asked) => staffHallOf(req) || (typeof asked === 'string' && HALL_CODE_PATTERN.test(asked) ? asked : null);
+
+   // Narrows a userId-keyed query (meal rows, guest meals, late requests) to one hall's students
+   async function hallUserFilter(hall) {
+     if (!hall) return {};
+     return { userId: { $in: await User.find({ hall }).distinct('_id') } };
+   }
+
+   const outsideHall = async (userId, hall) => !!hall && !(await User.exists({ _id: userId, hall }));
+
+   // Roster import: one row per student with Name, Email, Class Roll, Batch and Gender columns and an optional Hall
+   // (header names are matched loosely). Rows are keyed by email: new emails create students, known ones update them.
+   const ROSTER_COLUMNS = {
+     name: ['name'],
+     email: ['email'],
+     classRoll: ['classroll', 'roll'],
+     batch: ['batch'],
+     gender: ['gender', 'sex'],
+     hall: ['hall', 'hostel', 'dininghall'],
+   };
+
+   function readRoster(buffer) {
+     const workbook = XLSX.read(buffer, { type: 'buffer' });
+     const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '', raw: false });
+     return rows.map(row => {
+       const student = {};
+       for (const [header, value] of Object.entries(row)) {
+         const key = header.toLowerCase().replace(/[^a-z]/g, '');
+         const field = Object.keys(ROSTER_COLUMNS).find(f => ROSTER_COLUMNS[f].includes(key));
+         if (field) student[field] = String(value).trim();
+       }
+       return student;
+     });
+   }
+
+   // Works out what importing each row would do without writing anything
+   async function planRosterImport(students) {
+     const batches = await activeBatchCodes();
+     const halls = await listHalls();
+     const existing = await User.find({ email: { $in: students.map(s => (s.email || '').toLowerCase()) } }).lean();
+     const seenEmails = new Set();
+     const seenRolls = new Set();
+     const plan = [];
+     for (const [index, student] of students.entries()) {
+       const conflicts = [];
+       const email = (student.email || '').toLowerCase();
+       const classRoll = Number(student.classRoll);
+       const gender = student.gender ? student.gender.charAt(0).toUpperCase() + student.gender.slice(1).toLowerCase() : '';
+       const batch = /^\d$/.test(student.batch) ? `0${student.batch}` : student.batch;
+       // A hall may be given by code or name; a blank cell leaves the student's hall as it is
+       const hallName = (student.hall || '').toLowerCase();
+       const hall = hallName && halls.find(h => h.code.toLowerCase() === hallName || h.name.toLowerCase() === hallName)?.code;
+       if (!student.name) conflicts.push('Missing name');
+       if (!/^\S+@\S+\.\S+$/.test(email)) conflicts.push('Invalid email');
+       if (!Number.isInteger(classRoll) || classRoll < 1 || classRoll > 100) conflicts.push('Invalid class roll');
+       if (!batches.includes(batch)) conflicts.push(`Unknown or archived batch ${batch || '(blank)'}`);
+       if (!['Male', 'Female'].includes(gender)) conflicts.push('Gender must be Male or Female');
+       if (hallName && !hall) conflicts.push(`Unknown dining hall ${student.hall}`);
+       if (seenEmails.has(email)) conflicts.push('Email appears more than once in the file');
+       if (seenRolls.has(`${batch}|${classRoll}`)) conflicts.push('Roll appears more than once in the file');
+       seenEmails.add(email);
+       seenRolls.add(`${batch}|${classRoll}`);
+       const user = existing.find(u => u.email.toLowerCase() === email);
+       if (user && !['Active', 'Pending'].includes(user.status)) conflicts.push(`Existing account is ${user.status.toLowerCase()}`);
+       const holder = !conflicts.length && await findRollHolder(classRoll, batch, user?._id);
+       if (holder) conflicts.push(`Roll taken by ${holder.name} (${holder.email})`);
+       plan.push({
+         row: index + 2, // The header is row 1
+         name: student.name,
+         email,
+         classRoll,
+         batch,
+         gender,
+         hall: hall || undefined,
+         userId: user?._id,
+         action: conflicts.length ? 'Skip' : user ? 'Update' : 'Create',
+         conflicts,
+       });
+     }
+     return plan;
+   }
+
+   // Signup approval: students from before the queue existed are Active, and the roll index only covers Active ones
+   async function migrateUserStatus() {
+     await User.updateMany({ status: { $exists: false } }, { status: 'Active' });
+     const indexes = await User.collection.indexes();
+     if (indexes.some(index => index.name === 'classRoll_1_batch_1')) await User.collection.dropIndex('classRoll_1_batch_1');
+   }
+
+   // Student emails are stored lowercased; ones saved as typed before that are lowered, once per database, unless
+   // another account already has the lowercased address, which an admin has to sort out
+   async function migrateUserEmails() {
+     for (const user of await User.collection.find({ email: /[A-Z]|^\s|\s$/ }, { projection: { email: 1 } }).toArray()) {
+       const email = user.email.trim().toLowerCase();
+       if (await User.collection.findOne({ email, _id: { $ne: user._id } })) {
+         console.error(`Email ${user.email} not lowercased: ${email} belongs to another account`);
+         continue;
+       }
+       await User.collection.updateOne({ _id: user._id }, { $set: { email } });
+     }
+   }
+
+   // Runs a one-off migration unless this database has already recorded it
+   async function runMigrationOnce(name, migrate) {
+     if (await Migration.exists({ name })) return;
+     await migrate();
+     await Migration.create({ name });
+   }
+
+   // Meal dates: rows written before the date model, at server-local midnight, move to the UTC midnight of the mess
+   // day they stood for. On a UTC server the old code also took "today" from the server clock, so a row written in
+   // the first hours of a mess day sits at the UTC midnight of the day before; its _id records when it was written,
+   // which gives the mess day it was meant for. A student left with two rows for one day keeps the correctly stored
+   // one, taking over any served flag its meal allows, and meal counts are reconciled afterwards. Other day-keyed
+   // records move the same way; one that collides with an existing record for its day is dropped. Every discarded
+   // row is logged in full and returned, so an admin can re-enter anything that mattered.
+   const OFF_DAY_FILTER = { $expr: { $ne: [{ $mod: [{ $toLong: '$date' }, DAY_MS] }, 0] } };
+   const WRITTEN_ON_STORED_DAY_FILTER = {
+     $expr: {
+       $and: [
+         { $eq: [{ $mod: [{ $toLong: '$date' }, DAY_MS] }, 0] },
+         { $gte: [{ $toDate: '$_id' }, '$date'] },
+         { $lt: [{ $toDate: '$_id' }, { $add: ['$date', DAY_MS] }] },
+       ],
+     },
+   };
+
+   async function migrateMealDates() {
+     let moved = 0;
+     const dropped = [];
+     const drop = async (Model, record, reason) => {
+       await Model.deleteOne({ _id: record._id });
+       dropped.push({ model: Model.modelName, reason, record });
+       console.warn(`Dropped ${Model.modelName} ${record._id} (${reason}):`, JSON.stringify(record));
+     };
+     const misdated = [
+       ...(await MealHistory.find(OFF_DAY_FILTER).lean()).map(row => ({ row, date: normalizeStoredDay(row.date) })),
+       ...(await MealHistory.find(WRITTEN_ON_STORED_DAY_FILTER).lean())
+         .map(row => ({ row, date: dayOf(row._id.getTimestamp()) }))
+         .filter(({ row, date }) => date > row.date),
+     ];
+     // Latest first, so a row moving onto a day another misdated row is about to leave never collides with it
+     misdated.sort((a, b) => b.date - a.date);
+     let merged = 0;
+     for (const { row: mealHistory, date } of misdated) {
+       const kept = await MealHistory.findOne({ userId: mealHistory.userId, date }).lean();
+       if (!kept) {
+         await MealHistory.updateOne({ _id: mealHistory._id }, { date });
+         await MealCorrection.updateMany({ mealHistoryId: mealHistory._id }, { date });
+         moved++;
+         continue;
+       }
+       await MealHistory.updateOne({ _id: kept._id }, {
+         lunchServed: kept.lunchServed || (mealHistory.lunchServed && ['Lunch', 'Both'].includes(kept.meal)),
+         dinnerServed: kept.dinnerServed || (mealHistory.dinnerServed && ['Dinner', 'Both'].includes(kept.meal)),
+       });
+       await MealCorrection.updateMany({ mealHistoryId: mealHistory._id }, { mealHistoryId: kept._id, date });
+       await drop(MealHistory, mealHistory, `merged into ${kept._id}`);
+       merged++;
+     }
+     for (const Model of [CalendarDay, LateRequest, GuestMeal, MealCorrection, ServingEvent, BazarExpense]) {
+       for (const record of await Model.find(OFF_DAY_FILTER).lean()) {
+         try {
+           await Model.updateOne({ _id: record._id }, { date: normalizeStoredDay(record.date) });
+           moved++;
+         } catch (error) {
+           if (error.code !== 11000) throw error;
+           await drop(Model, record, `another record already holds ${dayKey(normalizeStoredDay(record.date))}`);
+         }
+       }
+     }
+     if (merged) await mealBooking.reconcile({ fix: true });
+     if (moved || dropped.length) console.log(`Meal dates migrated: ${moved} records moved, ${merged} duplicate meal days merged, ${dropped.length} records dropped`);
+     return { moved, dropped };
+   }
+
+   const findRollHolder = (classRoll, batch, excludeId) => User.findOne({ classRoll, batch, status: 'Active', _id: { $ne: excludeId } }).lean();
+
+   // Accounts: the first super-admin comes from the environment on a fresh database, never from a web request
+   async function bootstrapSuperAdmin() {
+     const { BOOTSTRAP_ADMIN_EMAIL, BOOTSTRAP_ADMIN_PASSWORD } = process.env;
+     if (await Admin.exists({})) return;
+     if (!BOOTSTRAP_ADMIN_EMAIL || !BOOTSTRAP_ADMIN_PASSWORD) {
+       console.warn('No admin accounts exist; set BOOTSTRAP_ADMIN_EMAIL and BOOTSTRAP_ADMIN_PASSWORD and restart to create one');
+       return;
+     }
+     await new Admin({
+       name: 'Super Admin',
+       email: BOOTSTRAP_ADMIN_EMAIL,
+       password: await bcrypt.hash(BOOTSTRAP_ADMIN_PASSWORD, 10),
+       role: 'SuperAdmin',
+     }).save();
+     console.log('Bootstrapped super-admin account', BOOTSTRAP_ADMIN_EMAIL);
+   }
+
+   const ACCOUNT_MODELS = { admin: Admin, staff: Staff };
+   const ACCOUNT_ROLES = { admin: ['SuperAdmin', 'MessManager', 'Accountant'], staff: ['MessManager', 'Server'] };
+
+   // Signs an account out everywhere: its web sessions (connect-mongo stores each as a JSON string, so they can be
+   // found by the account id) and its API refresh tokens. type is 'user' for students, 'staff' or 'admin'.
+   async function endAccountSessions(type, id) {
+     await mongoose.connection.collection('sessions').deleteMany({ session: { $regex: `"${type}Id":"${id}"` } });
+     await apiTokens.revokeAccount(id);
+   }
+
+   // Admins cover every hall; only staff accounts can be limited to one
+   async function checkAccountHall(type, hall) {
+     if (type !== 'staff') return 'Only staff accounts belong to a dining hall';
+     if (!(await DiningHall.exists({ code: String(hall) }))) return 'Unknown dining hall';
+     return null;
+   }
+
+   // Refuses changes that would leave nobody able to manage accounts
+   async function wouldRemoveLastSuperAdmin(admin, { role, active }) {
+     if ((admin.role || 'SuperAdmin') !== 'SuperAdmin' || admin.active === false) return false;
+     if ((role === undefined || role === 'SuperAdmin') && active !== false) return false;
+     const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: { $in: ['SuperAdmin', null] }, active: { $ne: false } });
+     return others === 0;
+   }
+
+   // Ledger: User.deposit is kept equal to the sum of the student's transactions
+   const TRANSACTION_SIGNS = { Deposit: 1, Refund: -1, Fine: -1 };
+
+   async function syncUserDeposit(userId) {
+     const [total] = await Transaction.aggregate([
+       { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+       { $group: { _id: null, amount: { $sum: '$amount' } } },
+     ]);
+     const deposit = roundMoney(total?.amount || 0);
+     await User.updateOne({ _id: userId }, { deposit });
+     return deposit;
+   }
+
+   // Students who had a hand-edited deposit before the ledger existed get it carried over as their first entry
+   async function openLedger(user) {
+     if (!user.deposit || await Transaction.exists({ userId: user._id })) return;
+     await new Transaction({
+       userId: user._id,
+       type: 'Adjustment',
+       amount: user.deposit,
+       date: user._id.getTimestamp(),
+       note: 'Opening balance carried over from previous deposit',
+     }).save();
+   }
+
+   // Returns the locked snapshot of a closed month, or a live preview of an open one
+   async function getMonthlyBilling(month) {
+     const period = await BillingPeriod.findOne({ month }).lean();
+     if (!period) return { ...(await computeMonthlyBills(month)), isClosed: false };
+     const expenses = await BazarExpense.find({ month }).sort({ date: 1 }).lean();
+     const bills = await Bill.find({ month }).sort({ batch: 1, classRoll: 1 }).lean();
+     const { totalExpense, totalMeals, mealRate, sharedExpense = totalExpense, halls = [], closedAt } = period;
+     return { month, totalExpense, totalMeals, mealRate, sharedExpense, halls, closedAt, expenses, bills, isClosed: true };
+   }
+
+   // Admin reports: every report takes the same batch / gender / dining hall / date range filters
+   const REPORT_TYPES = ['month-grid', 'dues', 'serving-register'];
+   const MEAL_CODES = { Lunch: 'L', Dinner: 'D', Both: 'B', Off: 'Off' };
+
+   const parseReportFilters = ({ batch, gender, hall, from, to }) => {
+     const fromDate = from ? parseDay(from) : startOfMonth(currentDay());
+     const toDate = to ? parseDay(to) : endOfMonth(currentDay());
+     if (!fromDate || !toDate || fromDate > toDate) return { error: 'Invalid date range' };
+     if ((toDate - fromDate) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+     if (gender && !['Male', 'Female'].includes(gender)) return { error: 'Invalid gender' };
+     if (hall && !HALL_CODE_PATTERN.test(hall)) return { error: 'Invalid dining hall' };
+     return { filters: { batch: batch || null, gender: gender || null, hall: hall || null, from: fromDate, to: toDate } };
+   };
+
+   const describeReportFilters = ({ batch, gender, hall, from, to }) =>
+     [`${dayKey(from)} to ${dayKey(to)}`, batch ? `Batch ${batch}` : 'All batches', gender || 'All genders', hall || 'All halls'].join(' | ');
+
+   // Students the filters select; archived batches are included so past months still report
+   const reportStudents = ({ batch, gender, hall }) => User.find({
+     status: { $in: ['Active', 'Archived'] },
+     ...(batch && { batch }),
+     ...(gender && { gender }),
+     ...(hall && { hall }),
+   }).sort({ batch: 1, classRoll: 1 }).lean();
+
+   const reportDays = ({ from, to }) => {
+     const days = [];
+     for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+     return days;
+   };
+
+   // One row per student, one column per day: the booked meal, with a * for each meal actually served
+   async function buildMonthGridReport(filters) {
+     const users = await reportStudents(filters);
+     const days = reportDays(filters);
+     const mealHistories = await MealHistory.find({ userId: { $in: users.map(u => u._id) }, date: { $gte: filters.from, $lte: filters.to } }).lean();
+     const byUserDay = new Map(mealHistories.map(mh => [`${mh.userId}|${mh.date.getTime()}`, mh]));
+     const rows = users.map(user => {
+       const row = { classRoll: user.classRoll, name: user.name, batch: user.batch, total: 0 };
+       days.forEach(day => {
+         const mh = byUserDay.get(`${user._id}|${day.getTime()}`);
+         if (!mh) return;
+         row[dayKey(day)] = MEAL_CODES[mh.meal] + '*'.repeat(Number(mh.lunchServed) + Number(mh.dinnerServed));
+         row.total += mh.dailyMealCount;
+       });
+       return row;
+     });
+     return {
+       title: 'Meal Grid',
+       subtitle: `${describeReportFilters(filters)} | L = Lunch, D = Dinner, B = Both, * = served`,
+       columns: [
+         { header: 'Roll', key: 'classRoll', width: 6 },
+         { header: 'Name', key: 'name', width: 22 },
+         { header: 'Batch', key: 'batch', width: 6 },
+         ...days.map(day => ({ header: String(day.getUTCDate()), key: dayKey(day), width: 4 })),
+         { header: 'Meals', key: 'total', width: 6 },
+       ],
+       rows,
+       totals: { name: `${rows.length} students`, total: rows.reduce((sum, row) => sum + row.total, 0) },
+     };
+   }
+
+   // Balances from the bill of the month containing the end date, most owed first
+   async function buildDuesReport(filters) {
+     const { month, bills, isClosed } = await getMonthlyBilling(monthKey(filters.to));
+     const rows = bills
+       .filter(bill => (!filters.batch || bill.batch === filters.batch) && (!filters.gender || bill.gender === filters.gender))
+       .filter(bill => !filters.hall || bill.hall === filters.hall)
+       .sort((a, b) => a.closingBalance - b.closingBalance)
+       .map(bill => ({
+         classRoll: bill.classRoll,
+         name: bill.name,
+         batch: bill.batch,
+         gender: bill.gender,
+         openingBalance: bill.openingBalance,
+         deposits: bill.deposits,
+         charges: roundMoney(bill.mealCharge + bill.additionalCharges + (bill.feastCharges || 0) + (bill.guestCharges || 0)),
+         closingBalance: bill.closingBalance,
+         due: Math.max(0, roundMoney(-bill.closingBalance)),
+       }));
+     return {
+       title: 'Dues List',
+       subtitle: `${month} (${isClosed ? 'closed' : 'open, live preview'}) | ${filters.batch ? `Batch ${filters.batch}` : 'All batches'} | ${filters.gender || 'All genders'} | ${filters.hall || 'All halls'}`,
+       columns: [
+         { header: 'Roll', key: 'classRoll', width: 8 },
+         { header: 'Name', key: 'name', width: 24 },
+         { header: 'Batch', key: 'batch', width: 8 },
+         { header: 'Gender', key: 'gender', width: 8 },
+         { header: 'Opening', key: 'openingBalance', width: 10 },
+         { header: 'Deposits', key: 'deposits', width: 10 },
+         { header: 'Charges', key: 'charges', width: 10 },
+         { header: 'Balance', key: 'closingBalance', width: 10 },
+         { header: 'Due', key: 'due', width: 10 },
+       ],
+       rows,
+       totals: { name: `${rows.filter(row => row.due > 0).length} students owe`, due: roundMoney(rows.reduce((sum, row) => sum + row.due, 0)) },
+     };
+   }
+
+   // Per day and meal: booked by students, enabled as extra by staff, guests, students actually served, and students not served
+   async function buildServingRegisterReport(filters) {
+     const users = await reportStudents(filters);
+     const counts = await MealHistory.aggregate([
+       { $match: { userId: { $in: users.map(u => u._id) }, date: { $gte: filters.from, $lte: filters.to } } },
+       { $group: {
+         _id: '$date',
+         lunchBooked: { $sum: { $cond: [{ $and: [{ $in: ['$meal', ['Lunch', 'Both']] }, { $ne: ['$isExtra', true] }] }, 1, 0] } },
+         lunchExtra: { $sum: { $cond: [{ $and: [{ $in: ['$meal', ['Lunch', 'Both']] }, { $eq: ['$isExtra', true] }] }, 1, 0] } },
+         lunchServed: { $sum: { $cond: ['$lunchServed', 1, 0] } },
+         dinnerBooked: { $sum: { $cond: [{ $and: [{ $in: ['$meal', ['Dinner', 'Both']] }, { $ne: ['$isExtra', true] }] }, 1, 0] } },
+         dinnerExtra: { $sum: { $cond: [{ $and: [{ $in: ['$meal', ['Dinner', 'Both']] }, { $eq: ['$isExtra', true] }] }, 1, 0] } },
+         dinnerServed: { $sum: { $cond: ['$dinnerServed', 1, 0] } },
+       } },
+     ]);
+     const guests = await GuestMeal.aggregate([
+       { $match: { userId: { $in: users.map(u => u._id) }, date: { $gte: filters.from, $lte: filters.to } } },
+       { $group: { _id: { date: '$date', mealType: '$mealType' }, count: { $sum: '$count' } } },
+     ]);
+     const byDay = new Map(counts.map(c => [c._id.getTime(), c]));
+     const keys = ['lunchBooked', 'lunchExtra', 'lunchGuests', 'lunchServed', 'lunchMissed', 'dinnerBooked', 'dinnerExtra', 'dinnerGuests', 'dinnerServed', 'dinnerMissed'];
+     const rows = reportDays(filters).map(day => {
+       const c = byDay.get(day.getTime()) || {};
+       const row = { date: dayKey(day) };
+       ['lunch', 'dinner'].forEach(meal => {
+         row[`${meal}Booked`] = c[`${meal}Booked`] || 0;
+         row[`${meal}Extra`] = c[`${meal}Extra`] || 0;
+         row[`${meal}Guests`] = guests.find(g => g._id.date.getTime() === day.getTime() && g._id.mealType.toLowerCase() === meal)?.count || 0;
+         row[`${meal}Served`] = c[`${meal}Served`] || 0;
+         row[`${meal}Missed`] = Math.max(0, row[`${meal}Booked`] + row[`${meal}Extra`] - row[`${meal}Served`]);
+       });
+       return row;
+     });
+     return {
+       title: 'Serving Register',
+       subtitle: describeReportFilters(filters),
+       columns: [
+         { header: 'Date', key: 'date', width: 12 },
+         ...keys.map(key => ({ header: key.replace(/^(lunch|dinner)/, m => `${m[0].toUpperCase()}${m.slice(1)} `), key, width: 10 })),
+       ],
+       rows,
+       totals: { date: 'Total', ...Object.fromEntries(keys.map(key => [key, rows.reduce((sum, row) => sum + row[key], 0)])) },
+     };
+   }
+
+   const REPORT_BUILDERS = { 'month-grid': buildMonthGridReport, dues: buildDuesReport, 'serving-register': buildServingRegisterReport };
+
+   // Daily meal update, run at midnight on the mess clock: every active student gets today's row, and rows the
+   // calendar has since cut back are brought in line
+   async function runDailyMealUpdate() {
+     try {
+       console.log('Running daily meal update at', new Date().toLocaleString('en-US', { timeZone: TIMEZONE }));
+       const today = currentDay();
+       const openMeals = openMealsFor(await CalendarDay.findOne({ date: today }).lean());
+
+       const users = await User.find({ status: 'Active' }).lean();
+       for (const user of users) {
+         const mealHistory = await mealBooking.ensureDay(user._id, today, () => defaultMealHistory(user._id, today));
+         const calendarUpdate = calendarMealUpdate(mealHistory, openMeals);
+         if (calendarUpdate) await mealBooking.bookDay({ userId: user._id, date: today, meal: calendarUpdate.meal, changes: calendarUpdate });
+       }
+       console.log('Daily meal update completed');
+     } catch (error) {
+       console.error('Error in cron job:', error.message);
+     }
+   }
+
+   // Repairs any drift between MealHistory and the stored meal counts, after the daily update
+   async function runMealCountReconcile() {
+     try {
+       const { rows, users } = await mealBooking.reconcile({ fix: true });
+       if (!rows.length && !users.length) return console.log('Meal counts reconciled, no drift');
+       console.log(`Meal counts reconciled: fixed ${rows.length} day rows and ${users.length} totals`);
+       users.forEach(user => console.log(`  ${user.batch}/${user.classRoll} ${user.name}: ${user.recorded} -> ${user.expected}`));
+     } catch (error) {
+       console.error('Error reconciling meal counts:', error.message);
+     }
+   }
+
+   // Reminders (services/notifier.js). Each goes to students who opted in to a channel, once per key, so a run that
+   // repeats or overlaps a restart sends nothing twice. Admins switch kinds off in Reminder Settings.
+   const LOW_BALANCE_REPEAT_DAYS = 7;
+
+   const describeDay = date => date.toLocaleDateString('en-GB', { timeZone: 'UTC', weekday: 'long', day: 'numeric', month: 'long' });
+   const describeMeals = meal => ({ Both: 'lunch and dinner', Lunch: 'lunch', Dinner: 'dinner', Off: 'no meals' })[meal];
+
+   // Reminder recipients who have not had this notice yet
+   async function pendingRecipients(kind, key) {
+     const sent = new Set((await NotificationLog.find({ kind, key }).distinct('userId')).map(String));
+     return (await notifier.recipients({ status: 'Active' })).filter(user => !sent.has(user._id.toString()));
+   }
+
+   // The meal each student will get on a day: their row, or what the nightly update would create
+   async function plannedMeals(users, date) {
+     const rows = await MealHistory.find({ userId: { $in: users.map(u => u._id) }, date }, 'userId meal').lean();
+     const openMeals = openMealsFor(await CalendarDay.findOne({ date }).lean());
+     const planned = new Map();
+     for (const user of users) {
+       const row = rows.find(r => r.userId.toString() === user._id.toString());
+       planned.set(user._id.toString(), row ? clampMeal(row.meal, openMeals) : (await defaultMealHistory(user._id, date)).meal);
+     }
+     return planned;
+   }
+
+   // Evening: students who have not booked tomorrow, and have no weekly template, are told what they will get
+   async function runBookingReminders() {
+     try {
+       if (!(await getReminderSettings()).unbookedDay) return;
+       const tomorrow = addDays(currentDay(), 1);
+       const key = dayKey(tomorrow);
+       const users = await pendingRecipients('UnbookedDay', key);
+       const decided = new Set([
+         ...(await MealHistory.find({ date: tomorrow, userId: { $in: users.map(u => u._id) } }).distinct('userId')),
+         ...(await MealTemplate.find({ userId: { $in: users.map(u => u._id) } }).distinct('userId')),
+       ].map(String));
+       const unbooked = users.filter(user => !decided.has(user._id.toString()));
+       const meals = await plannedMeals(unbooked, tomorrow);
+       let sent = 0;
+       for (const user of unbooked) {
+         if (await notifier.notify(user, {
+           kind: 'UnbookedDay',
+           key,
+           title: 'No booking for tomorrow',
+           text: `You have not booked ${describeDay(tomorrow)}. Unless you change it you will get ${describeMeals(meals.get(user._id.toString()))}, and be billed for it.`,
+           url: '/meal-update',
+         })) sent++;
+       }
+       if (sent) console.log(`Booking reminders sent to ${sent} students`);
+     } catch (error) {
+       console.error('Error sending booking reminders:', error.message);
+     }
+   }
+
+   // Every few minutes: a cutoff falling within the lead time warns the students who have that meal on
+   async function runCutoffReminders() {
+     try {
+       const { cutoff, cutoffMinutes } = await getReminderSettings();
+       if (!cutoff) return;
+       const now = new Date();
+       const soon = new Date(now.getTime() + cutoffMinutes * 60 * 1000);
+       for (const rule of await MealCutoff.find().lean()) {
+         for (const cutoffDay of [currentDay(), addDays(currentDay(), 1)]) {
+           const locksAt = zonedDateTime(cutoffDay, rule.time);
+           if (locksAt <= now || locksAt > soon) continue;
+           const date = addDays(cutoffDay, rule.daysBefore);
+           const key = `${rule.meal} ${dayKey(date)}`;
+           const users = await pendingRecipients('Cutoff', key);
+           const meals = await plannedMeals(users, date);
+           for (const user of users) {
+             if (![rule.meal, 'Both'].includes(meals.get(user._id.toString()))) continue;
+             await notifier.notify(user, {
+               kind: 'Cutoff',
+               key,
+               title: `${rule.meal} changes lock at ${rule.time}`,
+               text: `You are booked for ${rule.meal.toLowerCase()} on ${describeDay(date)}. Turn it off before ${rule.time} (${TIMEZONE}) if you will not eat it.`,
+               url: '/meal-update',
+             });
+           }
+         }
+       }
+     } catch (error) {
+       console.error('Error sending cutoff reminders:', error.message);
+     }
+   }
+
+   // Daily: students whose running balance for the month is below the threshold, at most once a week each
+   async function runBalanceReminders() {
+     try {
+       const { lowBalance, lowBalanceThreshold } = await getReminderSettings();
+       if (!lowBalance) return;
+       const key = dayKey(currentDay());
+       const users = await pendingRecipients('LowBalance', key);
+       if (!users.length) return;
+       const { bills } = await getMonthlyBilling(monthKey(currentDay()));
+       const since = new Date(Date.now() - LOW_BALANCE_REPEAT_DAYS * DAY_MS);
+       for (const user of users) {
+         const bill = bills.find(b => b.userId.toString() === user._id.toString());
+         if (!bill || bill.closingBalance >= lowBalanceThreshold) continue;
+         if (await NotificationLog.exists({ userId: user._id, kind: 'LowBalance', createdAt: { $gte: since } })) continue;
+         await notifier.notify(user, {
+           kind: 'LowBalance',
+           key,
+           title: 'Low mess balance',
+           text: `Your mess balance is ৳${bill.closingBalance}, below ৳${lowBalanceThreshold}. Please deposit at the mess office.`,
+           url: '/meal-dashboard.html',
+         });
+       }
+     } catch (error) {
+       console.error('Error sending balance reminders:', error.message);
+     }
+   }
+
+   // Tells a student their late or correction request was handled. A failure is logged, never the request's error.
+   async function notifyRequestAnswered(userId, requestId, { title, text }) {
+     try {
+       if (!(await getReminderSettings()).requestAnswered) return;
+       const user = await User.findById(userId).lean();
+       if (user) await notifier.notify(user, { kind: 'RequestAnswered', key: String(requestId), title, text, url: '/meal-dashboard.html' });
+     } catch (error) {
+       console.error('Error sending request notification:', error.message);
+     }
+   }
+
+   function scheduleJobs() {
+     cron.schedule('0 0 * * *', runDailyMealUpdate, { scheduled: true, timezone: TIMEZONE });
+     cron.schedule('30 0 * * *', runMealCountReconcile, { scheduled: true, timezone: TIMEZONE });
+     cron.schedule('*/5 * * * *', runCutoffReminders, { scheduled: true, timezone: TIMEZONE });
+     cron.schedule('0 10 * * *', runBalanceReminders, { scheduled: true, timezone: TIMEZONE });
+     cron.schedule('0 20 * * *', runBookingReminders, { scheduled: true, timezone: TIMEZONE });
+   }
+
+   // Routes
+   app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
+
+   app.get('/signup', (req, res) => res.sendFile(path.join(__dirname, 'public', 'signup.html')));
+
+   app.get('/login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'login.html')));
+
+   app.get('/admin/login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin-login.html')));
+
+   app.get('/staff/login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'staff-login.html')));
+
+   app.get('/meal-update', requireLogin, (req, res) => res.sendFile(path.join(__dirname, 'public', 'meal-update.html')));
+
+   app.get('/meal-update.html', requireLogin, (req, res) => res.sendFile(path.join(__dirname, 'public', 'meal-update.html')));
+
+   app.get('/meal-dashboard', requireLogin, async (req, res) => {
+     try {
+       const user = await User.findById(req.session.userId).lean();
+       if (!user) return res.status(401).json({ error: 'User not found' });
+       const transactions = await Transaction.find({ userId: user._id }).sort({ date: -1 }).select('-recordedBy').lean();
+       res.json({
+         name: user.name,
+         classRoll: user.classRoll,
+         batch: user.batch,
+         gender: user.gender,
+         totalMealCount: user.totalMealCount,
+         deposit: user.deposit,
+         emailVerified: user.emailVerified !== false,
+         status: user.status || 'Active',
+         transactions,
+       });
+     } catch (error) {
+       console.error('Error fetching dashboard:', error.message);
+       res.status(500).json({ error: 'Server error' });
+     }
+   });
+
+   // Reminder channels a student has opted in to. Push is per browser: allowing it in one saves that browser's
+   // subscription and turns push on, and removing the last subscription turns it off again.
+   const PHONE_PATTERN = /^\+?\d{8,15}$/;
+
+   const notificationSettings = async user => ({
+     channels: Object.fromEntries(CHANNELS.map(channel => [channel, !!user.notificationChannels?.[channel]])),
+     phone: user.phone || '',
+     emailVerified: user.emailVerified !== false,
+     pushPublicKey: notifier.pushPublicKey,
+     pushDevices: await PushSubscription.countDocuments({ userId: user._id }),
+   });
+
+   async function updateNotificationSettings(userId, { channels, phone }) {
+     if (!channels || typeof channels !== 'object') return { status: 400, error: 'Channels required' };
+     const user = await User.findById(userId).lean();
+     if (!user) return { status: 401, error: 'User not found' };
+     const update = {};
+     for (const channel of CHANNELS) {
+       if (channels[channel] === undefined) continue;
+       if (typeof channels[channel] !== 'boolean') return { status: 400, error: `Invalid setting for ${channel}` };
+       update[`notificationChannels.${channel}`] = channels[channel];
+     }
+     if (phone !== undefined) {
+       const cleaned = String(phone).replace(/[\s-]/g, '');
+       if (cleaned && !PHONE_PATTERN.test(cleaned)) return { status: 400, error: 'Invalid phone number' };
+       update.phone = cleaned || null;
+     }
+     if ((channels.sms ?? user.notificationChannels?.sms) && !(phone !== undefined ? update.phone : user.phone)) {
+       return { status: 400, error: 'Add a phone number to get SMS reminders' };
+     }
+     if (channels.push === true && !(await PushSubscription.exists({ userId }))) {
+       return { status: 400, error: 'Allow notifications in a browser first' };
+     }
+     const updated = await User.findByIdAndUpdate(userId, update, { new: true }).lean();
+     return { status: 200, message: 'Notification settings saved', ...(await notificationSettings(updated)) };
+   }
+
+   app.get('/api/notifications', requireLogin, async (req, res) => {
+     try {
+       const user = await User.findById(req.session.userId).lean();
+       if (!user) return res.status(401).json({ error: 'User not found' });
+       res.json(await notificationSettings(user));
+     } catch (error) {
+       console.error('Error fetching notification settings:', error.message);
+       res.status(500).json({ error: 'Failed to fetch notification settings' });
+     }
+   });
+
+   app.post('/api/notifications', requireLogin, async (req, res) => {
+     try {
+       const { status, ...result } = await updateNotificationSettings(req.session.userId, req.body);
+       res.status(status).json(result);
+     } catch (error) {
+       console.error('Error saving notification settings:', error.message);
+       res.status(500).json({ error: 'Failed to save notification settings' });
+     }
+   });
+
+   // A browser's push subscription; an endpoint already saved for another account moves to this one
+   app.post('/api/notifications/push', requireLogin, async (req, res) => {
+     const { endpoint, keys } = req.body.subscription || {};
+     try {
+       if (typeof endpoint !== 'string' || !endpoint.startsWith('https://')) return res.status(400).json({ error: 'Invalid subscription' });
+       if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') return res.status(400).json({ error: 'Invalid subscription' });
+       await PushSubscription.updateOne(
+         { endpoint },
+         { userId: req.session.userId, keys: { p256dh: keys.p256dh, auth: keys.auth } },
+         { upsert: true },
+       );
+       await User.updateOne({ _id: req.session.userId }, { 'notificationChannels.push': true });
+       res.json({ message: 'This browser will show your reminders' });
+     } catch (error) {
+       console.error('Error saving push subscription:', error.message);
+       res.status(500).json({ error: 'Failed to save push subscription' });
+     }
+   });
+
+   app.delete('/api/notifications/push', requireLogin, async (req, res) => {
+     try {
+       await PushSubscription.deleteOne({ endpoint: String(req.body.endpoint || ''), userId: req.session.userId });
+       if (!(await PushSubscription.exists({ userId: req.session.userId }))) {
+         await User.updateOne({ _id: req.session.userId }, { 'notificationChannels.push': false });
+       }
+       res.json({ message: 'This browser will no longer show reminders' });
+     } catch (error) {
+       console.error('Error removing push subscription:', error.message);
+       res.status(500).json({ error: 'Failed to remove push subscription' });
+     }
+   });
+
+   app.get('/meal-dashboard.html', requireLogin, (req, res) => res.sendFile(path.join(__dirname, 'public', 'meal-dashboard.html')));
+
+   app.get('/api/meal-history', requireLogin, async (req, res) => {
+     try {
+       const mealHistories = await MealHistory.find({ userId: req.session.userId }).sort({ date: -1 }).lean();
+       res.json(mealHistories);
+     } catch (error) {
+       console.error('Error fetching meal history:', error.message);
+       res.status(500).json({ error: 'Failed to fetch meal history' });
+     }
+   });
+
+   app.get('/api/meal-corrections', requireLogin, async (req, res) => {
+     try {
+       const corrections = await MealCorrection.find({ userId: req.session.userId })
+         .populate('handledBy', 'name email')
+         .sort({ createdAt: -1 })
+         .lean();
+       res.json(await withServingTrail(corrections));
+     } catch (error) {
+       console.error('Error fetching meal corrections:', error.message);
+       res.status(500).json({ error: 'Failed to fetch correction requests' });
+     }
+   });
+
+   app.post('/api/meal-corrections', requireLogin, async (req, res) => {
+     const { mealHistoryId, reason } = req.body;
+     try {
+       if (!reason || !String(reason).trim()) return res.status(400).json({ error: 'Reason required' });
+       const { snapshot, error } = parseMealSnapshot(req.body);
+       if (error) return res.status(400).json({ error });
+       if (!mongoose.Types.ObjectId.isValid(mealHistoryId)) return res.status(400).json({ error: 'Invalid meal history entry' });
+       const mealHistory = await MealHistory.findOne({ _id: mealHistoryId, userId: req.session.userId }).lean();
+       if (!mealHistory) return res.status(404).json({ error: 'Meal history entry not found' });
+       if (mealHistory.date > currentDay()) return res.status(400).json({ error: 'Future days can be changed from Update Meal' });
+       if (await BillingPeriod.exists({ month: monthKey(mealHistory.date) })) return res.status(400).json({ error: 'Billing month is closed' });
+       const current = { meal: mealHistory.meal, lunchServed: mealHistory.lunchServed, dinnerServed: mealHistory.dinnerServed };
+       if (sameMealSnapshot(current, snapshot)) return res.status(400).json({ error: 'Requested correction matches the current record' });
+       if (await MealCorrection.exists({ mealHistoryId, status: 'Pending' })) return res.status(409).json({ error: 'A correction for this day is already pending' });
+       await new MealCorrection({
+         userId: req.session.userId,
+         mealHistoryId,
+         date: mealHistory.date,
+         current,
+         requested: snapshot,
+         reason: String(reason).trim(),
+       }).save();
+       res.json({ message: 'Correction request sent to the admin' });
+     } catch (error) {
+       console.error('Error creating meal correction:', error.message);
+       res.status(500).json({ error: 'Failed to send correction request' });
+     }
+   });
+
+   app.get('/admin/corrections', requireAdmin, requirePermission('students'), async (req, res) => {
+     const status = ['Pending', 'Approved', 'Rejected'].includes(req.query.status) ? req.query.status : 'Pending';
+     try {
+       const corrections = await MealCorrection.find({ status })
+         .populate('userId', 'name classRoll batch totalMealCount')
+         .populate('handledBy', 'name email')
+         .sort({ createdAt: status === 'Pending' ? 1 : -1 })
+         .limit(200)
+         .lean();
+       res.render('admin-corrections', { corrections: await withServingTrail(corrections), status, error: null });
+     } catch (error) {
+       console.error('Error loading meal corrections:', error.message);
+       res.status(500).render('admin-corrections', { corrections: [], status, error: 'Failed to load correction requests' });
+     }
+   });
+
+   // Applies the requested record and moves totalMealCount by the difference in that day's meals. A closed month's
+   // bills are final, so its days can no longer be corrected
+   app.post('/api/meal-corrections/:id/approve', requireAdmin, requirePermission('students'), async (req, res) => {
+     const comment = String(req.body.comment || '').trim();
+     try {
+       const correction = await MealCorrection.findOne({ _id: req.params.id, status: 'Pending' }).lean();
+       if (!correction) return res.status(404).json({ error: 'Correction request not found or already handled' });
+       const mealHistory = await MealHistory.findById(correction.mealHistoryId).lean();
+       if (!mealHistory) return res.status(404).json({ error: 'Meal history entry no longer exists' });
+       if (!sameMealSnapshot(mealHistory, correction.current)) {
+         return res.status(409).json({ error: `The day has changed since the request was filed (now ${describeMealSnapshot(mealHistory)}); reject it and ask the student to file again` });
+       }
+       if (await BillingPeriod.exists({ month: monthKey(correction.date) })) {
+         return res.status(409).json({ error: 'Billing month is closed; reject the request and settle the difference with an adjustment' });
+       }
+       const claimed = await mealBooking.transaction(async session => {
+         const updated = await MealCorrection.updateOne({ _id: correction._id, status: 'Pending' }, {
+           status: 'Approved',
+           adminComment: comment || undefined,
+           handledBy: req.session.adminId,
+           handledAt: new Date(),
+         }, { session });
+         if (!updated.modifiedCount) return false;
+         await mealBooking.bookDay({ userId: correction.userId, date: correction.date, meal: correction.requested.meal, changes: correction.requested, session });
+         return true;
+       });
+       if (!claimed) return res.status(409).json({ error: 'Correction request was already handled' });
+       await logServingEvent(req, {
+         date: correction.date,
+         action: 'Correction',
+         mealType: correction.requested.meal,
+         userId: correction.userId,
+         details: `${describeMealSnapshot(correction.current)} -> ${describeMealSnapshot(correction.requested)} (correction approved)`,
+       });
+       await notifyRequestAnswered(correction.userId, correction._id, {
+         title: 'Correction approved',
+         text: `Your correction for ${describeDay(correction.date)} was approved: now ${describeMealSnapshot(correction.requested)}.${comment ? ` Comment: ${comment}` : ''}`,
+       });
+       res.json({ message: 'Correction approved and applied' });
+     } catch (error) {
+       console.error('Error approving meal correction:', error.message);
+       res.status(500).json({ error: 'Failed to approve correction' });
+     }
+   });
+
+   app.post('/api/meal-corrections/:id/reject', requireAdmin, requirePermission('students'), async (req, res) => {
+     const comment = String(req.body.comment || '').trim();
+     try {
+       if (!comment) return res.status(400).json({ error: 'A comment explaining the rejection is required' });
+       const rejected = await MealCorrection.findOneAndUpdate({ _id: req.params.id, status: 'Pending' }, {
+         status: 'Rejected',
+         adminComment: comment,
+         handledBy: req.session.adminId,
+         handledAt: new Date(),
+       }).lean();
+       if (!rejected) return res.status(404).json({ error: 'Correction request not found or already handled' });
+       await notifyRequestAnswered(rejected.userId, rejected._id, {
+         title: 'Correction rejected',
+         text: `Your correction for ${describeDay(rejected.date)} was rejected. Comment: ${comment}`,
+       });
+       res.json({ message: 'Correction rejected' });
+     } catch (error) {
+       console.error('Error rejecting meal correction:', error.message);
+       res.status(500).json({ error: 'Failed to reject correction' });
+     }
+   });
+
+   app.post('/admin/login', async (req, res) => {
+     const { email, password } = req.body;
+     try {
+       const admin = await Admin.findOne({ email }).lean();
+       if (!admin || !(await bcrypt.compare(password, admin.password))) return res.status(401).send('Invalid credentials');
+       if (admin.active === false) return res.status(403).send('Account disabled');
+       await regenerateSession(req);
+       req.session.admin = true;
+       req.session.adminId = admin._id.toString();
+       req.session.adminRole = admin.role || 'SuperAdmin';
+       await req.session.save();
+       res.redirect('/admin/dashboard');
+     } catch (error) {
+       console.error('Error during admin login:', error.message);
+       res.status(500).send('Server error');
+     }
+   });
+
+   app.post('/staff/login', async (req, res) => {
+     const { email, password } = req.body;
+     try {
+       const staff = await Staff.findOne({ email }).lean();
+       if (!staff || !(await bcrypt.compare(password, staff.password))) return res.status(401).send('Invalid credentials');
+       if (staff.active === false) return res.status(403).send('Account disabled');
+       await regenerateSession(req);
+       req.session.staff = true;
+       req.session.staffId = staff._id.toString();
+       req.session.staffRole = staff.role || 'MessManager';
+       req.session.staffHall = staff.hall || null;
+       await req.session.save();
+       res.redirect('/staff/serving');
+     } catch (error) {
+       console.error('Error during staff login:', error.message);
+       res.status(500).send('Server error');
+     }
+   });
+
+   app.post('/signup', async (req, res) => {
+     const { name, classRoll, email, password, gender, batch } = req.body;
+     try {
+       if (!name || !classRoll || !email || !password || !gender || !batch) return res.status(400).send('All fields required');
+       if (await User.findOne({ email }).lean()) return res.status(400).send('User already exists');
+       if (!(await activeBatchCodes()).includes(batch)) return res.status(400).send('Invalid batch');
+       if (!['Male', 'Female'].includes(gender)) return res.status(400).send('Invalid gender');
+       if (classRoll < 1 || classRoll > 100) return res.status(400).send('Invalid class roll');
+       // A roll someone else already holds doesn't block the signup; the admin settles it when approving
+       const hashedPassword = await bcrypt.hash(password, 10);
+       const user = await new User({ name, classRoll, email, password: hashedPassword, gender, batch, status: 'Pending', emailVerified: false }).save();
+       await regenerateSession(req);
+       req.session.userId = user._id.toString();
+       await req.session.save();
+       try {
+         await sendVerificationEmail(user);
+       } catch (error) {
+         // The student can resend from the dashboard, so a mail outage shouldn't fail the signup
+         console.error('Error sending verification email:', error.message);
+       }
+       res.redirect('/meal-dashboard.html');
+     } catch (error) {
+       console.error('Error during signup:', error.message);
+       res.status(500).send('Error signing up');
+     }
+   });
+
+   app.get('/verify-email', async (req, res) => {
+     try {
+       const userToken = await consumeUserToken(req.query.token, 'VerifyEmail');
+       if (!userToken) return res.status(400).send('This verification link is invalid or has expired. Log in and request a new one from your dashboard.');
+       await User.updateOne({ _id: userToken.userId }, { emailVerified: true, emailVerifiedAt: new Date() });
+       res.redirect(req.session.userId ? '/meal-dashboard.html' : '/login');
+     } catch (error) {
+       console.error('Error verifying email:', error.message);
+       res.status(500).send('Error verifying email');
+     }
+   });
+
+   app.post('/api/resend-verification', requireLogin, async (req, res) => {
+     try {
+       const user = await User.findById(req.session.userId).lean();
+       if (!user) return res.status(401).json({ error: 'User not found' });
+       if (user.emailVerified !== false) return res.status(400).json({ error: 'Email already verified' });
+       await sendVerificationEmail(user);
+       res.json({ message: `Verification email sent to ${user.email}` });
+     } catch (error) {
+       console.error('Error resending verification:', error.message);
+       res.status(500).json({ error: 'Failed to send verification email' });
+     }
+   });
+
+   app.get('/forgot-password', (req, res) => res.sendFile(path.join(__dirname, 'public', 'forgot-password.html')));
+
+   // Answers the same whether or not the email is registered, so it can't be used to probe for accounts
+   app.post('/forgot-password', async (req, res) => {
+     const { email } = req.body;
+     try {
+       if (!email) return res.status(400).json({ error: 'Email required' });
+       const user = await User.findOne({ email }).lean();
+       if (user) await sendPasswordResetEmail(user);
+       res.json({ message: 'If that email is registered, a reset link is on its way' });
+     } catch (error) {
+       console.error('Error during forgot password:', error.message);
+       res.status(500).json({ error: 'Failed to send reset email' });
+     }
+   });
+
+   app.get('/reset-password', (req, res) => res.sendFile(path.join(__dirname, 'public', 'reset-password.html')));
+
+   app.post('/reset-password', async (req, res) => {
+     const { token, password } = req.body;
+     try {
+       if (!password || password.length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+       const userToken = await consumeUserToken(token, ['ResetPassword', 'Invite']);
+       if (!userToken) return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+       // Following an emailed link proves the address, so it also counts as verification
+       await User.updateOne({ _id: userToken.userId }, { password: await bcrypt.hash(password, 10), emailVerified: true, emailVerifiedAt: new Date() });
+       await endAccountSessions('user', userToken.userId);
+       res.json({ message: 'Password updated. You can now log in.' });
+     } catch (error) {
+       console.error('Error resetting password:', error.message);
+       res.status(500).json({ error: 'Failed to reset password' });
+     }
+   });
+
+   app.post('/login', async (req, res) => {
+     const { email, password } = req.body;
+     try {
+       if (!email || !password) return res.status(400).send('Email and password required');
+       const user = await User.findOne({ email }).lean();
+       if (!user || !(await bcrypt.compare(password, user.password))) return res.status(400).send('Invalid credentials');
+       if (user.status === 'Rejected') return res.status(403).send('Your signup was rejected. Please contact the mess office.');
+       await regenerateSession(req);
+       req.session.userId = user._id.toString();
+       await req.session.save();
+       res.redirect('/meal-dashboard.html');
+     } catch (error) {
+       console.error('Error during login:', error.message);
+       res.status(500).send('Error logging in');
+     }
+   });
+
+   // A student's change to one day, from the booking page or the API. Past a cutoff it becomes a late request for
+   // staff, or is refused, as the cutoff rule says. Returns { status, error } or { status, message, isLateRequest }.
+   async function updateMealDay(userId, { meal, additionalItems, date }) {
+     if (!['Lunch', 'Dinner', 'Both', 'Off'].includes(meal)) return { status: 400, error: 'Invalid meal type' };
+     if (!date) return { status: 400, error: 'Date required' };
+     const selectedDate = parseDay(date);
+     if (!selectedDate) return { status: 400, error: 'Invalid date' };
+     if (isPastDay(selectedDate)) return { status: 400, error: 'Cannot update past date' };
+     const user = await User.findById(userId).lean();
+     if (!user) return { status: 401, error: 'User not found' };
+     const additionalItemsArray = [...new Set(Array.isArray(additionalItems) ? additionalItems.filter(Boolean) : [additionalItems].filter(Boolean))];
+     const mealHistory = await MealHistory.findOne({ userId, date: selectedDate }).lean();
+     const { error, charge } = await priceAdditionalItems({
+       userId,
+       date: selectedDate,
+       meal,
+       items: additionalItemsArray,
+       previousItems: mealHistory?.additionalItems,
+     });
+     if (error) return { status: 400, error };
+     const calendarDay = await CalendarDay.findOne({ date: selectedDate }).lean();
+     if (clampMeal(meal, openMealsFor(calendarDay)) !== meal) return { status: 400, error: describeClosure(calendarDay) };
+     const passedCutoffs = await findPassedCutoffs(selectedDate, mealHistory?.meal || 'Off', meal);
+     if (passedCutoffs.length) {
+       const reason = passedCutoffs.map(describeCutoff).join('; ');
+       if (passedCutoffs.some(rule => rule.lateAction === 'Reject')) return { status: 400, error: `Too late: ${reason}` };
+       await LateRequest.updateOne(
+         { userId, date: selectedDate, status: 'Pending' },
+         { meal, additionalItems: additionalItemsArray, reason },
+         { upsert: true },
+       );
+       return { status: 202, message: `Late request sent to staff for approval (${reason})`, isLateRequest: true };
+     }
+     await mealBooking.bookDay({
+       userId,
+       date: selectedDate,
+       meal,
+       changes: { additionalItems: additionalItemsArray, additionalCharge: charge },
+     });
+     return { status: 200, message: 'Meal updated successfully' };
+   }
+
+   app.post('/meal-update', requireLogin, requireCanBook, async (req, res) => {
+     try {
+       const { status, error, message, isLateRequest } = await updateMealDay(req.session.userId, req.body);
+       if (error) return res.status(status).json({ error });
+       res.status(status).json(isLateRequest ? { message, isLateRequest } : { message });
+     } catch (error) {
+       console.error('Error updating meal:', error.message);
+       res.status(500).json({ error: 'Failed to update meal' });
+     }
+   });
+
+   app.get('/api/meal/check-in-token', requireLogin, (req, res) => {
+     const today = currentDay();
+     const expiresAt = zonedDateTime(addDays(today, 1), '00:00');
+     res.json({ token: createCheckInToken(req.session.userId, today), date: today, expiresAt });
+   });
+
+   app.get('/api/meal-template', requireLogin, async (req, res) => {
+     try {
+       const template = await MealTemplate.findOne({ userId: req.session.userId }).lean();
+       res.json(template ? { days: template.days, updatedAt: template.updatedAt } : null);
+     } catch (error) {
+       console.error('Error fetching meal template:', error.message);
+       res.status(500).json({ error: 'Failed to fetch meal template' });
+     }
+   });
+
+   app.post('/api/meal-template', requireLogin, requireCanBook, async (req, res) => {
+     try {
+       const { error, days } = await parseMealTemplate(req.body.days);
+       if (error) return res.status(400).json({ error });
+       await MealTemplate.updateOne({ userId: req.session.userId }, { days }, { upsert: true });
+       res.json({ message: 'Weekly template saved' });
+     } catch (error) {
+       console.error('Error saving meal template:', error.message);
+       res.status(500).json({ error: 'Failed to save meal template' });
+     }
+   });
+
+   app.delete('/api/meal-template', requireLogin, async (req, res) => {
+     try {
+       await MealTemplate.deleteOne({ userId: req.session.userId });
+       res.json({ message: 'Weekly template removed; your last meal will carry forward again' });
+     } catch (error) {
+       console.error('Error removing meal template:', error.message);
+       res.status(500).json({ error: 'Failed to remove meal template' });
+     }
+   });
+
+   app.post('/api/meal-range/preview', requireLogin, async (req, res) => {
+     try {
+       const { error, range } = parseMealRange(req.body);
+       if (error) return res.status(400).json({ error });
+       const user = await User.findById(req.session.userId).lean();
+       if (!user) return res.status(401).json({ error: 'User not found' });
+       const days = await planMealRange({ userId: user._id, ...range });
+       res.json(summarizeMealRange(days, user.totalMealCount));
+     } catch (error) {
+       console.error('Error previewing meal range:', error.message);
+       res.status(500).json({ error: 'Failed to preview meal range' });
+     }
+   });
+
+   app.get('/api/guest-meals', requireLogin, async (req, res) => {
+     try {
+       const since = addDays(currentDay(), -30);
+       const guestMeals = await GuestMeal.find({ userId: req.session.userId, date: { $gte: since } }).sort({ date: -1, mealType: 1 }).lean();
+       const { guestMealRate } = await getMessSettings();
+       res.json({ guestMealRate, maxGuests: MAX_GUESTS_PER_MEAL, guestMeals });
+     } catch (error) {
+       console.error('Error fetching guest meals:', error.message);
+       res.status(500).json({ error: 'Failed to fetch guest meals' });
+     }
+   });
+
+   // Sets how many guests the student brings to one meal; a count of 0 cancels the booking
+   app.post('/api/guest-meals', requireLogin, requireCanBook, async (req, res) => {
+     const { date, mealType, note } = req.body;
+     const count = Number(req.body.count);
+     try {
+       if (!['Lunch', 'Dinner'].includes(mealType)) return res.status(400).json({ error: 'Invalid meal type' });
+       if (!Number.isInteger(count) || count < 0 || count > MAX_GUESTS_PER_MEAL) return res.status(400).json({ error: `Guests must be between 0 and ${MAX_GUESTS_PER_MEAL}` });
+       const selectedDate = parseDay(date);
+       if (!selectedDate) return res.status(400).json({ error: 'Valid date required' });
+       const blocked = await checkGuestBooking(selectedDate, mealType);
+       if (blocked) return res.status(400).json({ error: blocked });
+       const filter = { userId: req.session.userId, date: selectedDate, mealType };
+       const existing = await GuestMeal.findOne(filter).lean();
+       if (existing && count < existing.servedCount) return res.status(400).json({ error: `${existing.servedCount} guest meals were already served` });
+       if (!count) {
+         await GuestMeal.deleteOne(filter);
+         servingFeed.notify(selectedDate);
+         return res.json({ message: 'Guest booking cancelled' });
+       }
+       const { guestMealRate } = await getMessSettings();
+       await GuestMeal.updateOne(filter, {
+         count,
+         rate: guestMealRate,
+         charge: roundMoney(count * guestMealRate),
+         note: note ? String(note).trim() : undefined,
+       }, { upsert: true });
+       servingFeed.notify(selectedDate);
+       res.json({ message: `${count} guest ${mealType.toLowerCase()}${count === 1 ? '' : 's'} booked at ${guestMealRate} each` });
+     } catch (error) {
+       console.error('Error booking guest meals:', error.message);
+       res.status(500).json({ error: 'Failed to book guest meals' });
+     }
+   });
+
+   // The day's items that are still served with the new meal, or null when all of them are; dropped items stop
+   // being charged. Off is left to bookDay, which clears every item.
+   async function itemsKeptFor(mealHistory, meal, session) {
+     const items = mealHistory?.additionalItems || [];
+     if (!items.length || ['Both', 'Off'].includes(meal)) return null;
+     const catalogue = await ExtraItem.find({ name: { $in: items } }).session(session).lean();
+     const kept = catalogue.filter(item => item.meals.includes(meal));
+     if (kept.length === items.length) return null;
+     return { additionalItems: kept.map(item => item.name), additionalCharge: roundMoney(kept.reduce((sum, item) => sum + item.price, 0)) };
+   }
+
+   // Re-plans inside the transaction so the booking matches the data it was checked against
+   function bookMealRange(userId, range) {
+     return mealBooking.transaction(async session => {
+       const user = await User.findById(userId).session(session).lean();
+       if (!user) return { status: 404, error: 'User not found' };
+       const days = await planMealRange({ userId: user._id, ...range, session });
+       for (const { date, mealHistory, newMeal, skipped, lateRequest } of days) {
+         if (skipped) continue;
+         const items = await itemsKeptFor(mealHistory, newMeal, session);
+         if (lateRequest) {
+           const additionalItems = newMeal === 'Off' ? [] : items ? items.additionalItems : mealHistory?.additionalItems || [];
+           await LateRequest.updateOne(
+             { userId: user._id, date, status: 'Pending' },
+             { meal: newMeal, additionalItems, reason: lateRequest },
+             { upsert: true, session },
+           );
+           continue;
+         }
+         await mealBooking.bookDay({ userId: user._id, date, meal: newMeal, changes: items || {}, session });
+       }
+       const summary = summarizeMealRange(days, user.totalMealCount);
+       const booked = summary.days.filter(day => !day.skipped && !day.lateRequest).length;
+       const queued = summary.days.filter(day => day.lateRequest).length;
+       return {
+         message: `Meals updated for ${booked} day${booked === 1 ? '' : 's'}${queued ? `; ${queued} late request${queued === 1 ? '' : 's'} sent to staff` : ''}`,
+         ...summary,
+       };
+     });
+   }
+
+   app.post('/api/meal-range', requireLogin, requireCanBook, async (req, res) => {
+     try {
+       const { error, range } = parseMealRange(req.body);
+       if (error) return res.status(400).json({ error });
+       if (!(await User.exists({ _id: req.session.userId }))) return res.status(401).json({ error: 'User not found' });
+       const result = await bookMealRange(req.session.userId, range);
+       if (result.error) return res.status(result.status).json({ error: result.error });
+       res.json(result);
+     } catch (error) {
+       console.error('Error booking meal range:', error.message);
+       res.status(500).json({ error: 'Failed to book meal range' });
+     }
+   });
+
+   app.get('/admin/dashboard', requireAdmin, async (req, res) => {
+     const { batch, gender, hall } = req.query;
+     try {
+       let query = { status: 'Active' };
+       if (batch && batch !== 'all') query.batch = batch;
+       if (gender && gender !== 'all') query.gender = gender;
+       if (hall && hall !== 'all') query.hall = hall === 'none' ? null : String(hall);
+       const users = await User.find(query).sort({ batch: 1, classRoll: 1 }).lean();
+       const templates = await MealTemplate.find({ userId: { $in: users.map(u => u._id) } }).lean();
+       const pendingUsers = await User.find({ status: 'Pending' }).sort({ _id: 1 }).lean();
+       for (const pendingUser of pendingUsers) {
+         pendingUser.rollHolder = await findRollHolder(pendingUser.classRoll, pendingUser.batch, pendingUser._id);
+       }
+       res.render('admin-dashboard', {
+         users,
+         templates,
+         pendingUsers,
+         pendingCorrections: await MealCorrection.countDocuments({ status: 'Pending' }),
+         permissions: ROLE_PERMISSIONS[req.accountRole] || [],
+         batches: await activeBatchCodes(),
+         genders: ['Male', 'Female'],
+         halls: await listHalls(),
+         selectedBatch: batch || 'all',
+         selectedGender: gender || 'all',
+         selectedHall: hall || 'all',
+       });
+     } catch (error) {
+       console.error('Error loading admin dashboard:', error.message);
+       res.status(500).send('Server error');
+     }
+   });
+
+   app.get('/staff/serving', requireStaff, requirePermission('serving'), async (req, res) => {
+     const { batch, gender, date } = req.query;
+     const hall = requestedHall(req, req.query.hall);
+     try {
+       const hallQuery = hall ? { status: 'Active', hall } : { status: 'Active' };
+       let query = { ...hallQuery };
+       if (batch && batch !== 'all') query.batch = batch;
+       if (gender && gender !== 'all') query.gender = gender;
+       let users = await User.find(query).sort({ batch: 1, classRoll: 1 }).lean();
+       if (!users.length && Object.keys(query).length > Object.keys(hallQuery).length) users = await User.find(hallQuery).sort({ batch: 1, classRoll: 1 }).lean();
+       const selectedDate = (date && parseDay(date)) || currentDay();
+       const inHall = await hallUserFilter(hall);
+       let mealHistories = await MealHistory.find({ date: selectedDate, ...inHall }).lean();
+       if (mealHistories.length < users.length) {
+         for (const user of users) {
+           if (!mealHistories.find(mh => mh.userId.toString() === user._id.toString())) {
+             await mealBooking.ensureDay(user._id, selectedDate, () => defaultMealHistory(user._id, selectedDate));
+           }
+         }
+         mealHistories = await MealHistory.find({ date: selectedDate, ...inHall }).lean();
+       }
+       const itemTotals = {};
+       mealHistories.filter(mh => mh.meal !== 'Off').forEach(mh => mh.additionalItems.forEach(item => {
+         itemTotals[item] = (itemTotals[item] || 0) + 1;
+       }));
+       const guestMeals = await GuestMeal.find({ date: selectedDate, ...inHall }).populate('userId', 'name classRoll batch').sort({ mealType: 1 }).lean();
+       res.render('staff-serving', {
+         users,
+         mealHistories,
+         guestMeals,
+         itemTotals,
+         batches: await activeBatchCodes(),
+         genders: ['Male', 'Female'],
+         halls: await listHalls(),
+         staffHall: staffHallOf(req),
+         selectedBatch: batch || 'all',
+         selectedGender: gender || 'all',
+         selectedHall: hall || 'all',
+         selectedDate: dayKey(selectedDate),
+         isEditable: true,
+         permissions: ROLE_PERMISSIONS[req.accountRole] || [],
          error: !users.length ? 'No users found' : null,
        });
      } catch (error) {
-       console.error('Error loading staff serving:', error.message);
-       res.status(500).render('staff-serving', {
-         users: [],
-         mealHistories: [],
-         batches: ['09', '10', '11', '12', '13'],
-         genders: ['Male', 'Female'],
-         selectedBatch: batch || 'all',
-         selectedGender: gender || 'all',
-         selectedDate: new Date().toISOString().split('T')[0],
-         isEditable: true,
-         error: 'Failed to load data',
+       console.error('Error loading staff serving:', error.message);
+       res.status(500).render('staff-serving', {
+         users: [],
+         mealHistories: [],
+         guestMeals: [],
+         itemTotals: {},
+         batches: [],
+         genders: ['Male', 'Female'],
+         halls: [],
+         staffHall: staffHallOf(req),
+         selectedBatch: batch || 'all',
+         selectedGender: gender || 'all',
+         selectedHall: hall || 'all',
+         selectedDate: dayKey(currentDay()),
+         isEditable: true,
+         permissions: ROLE_PERMISSIONS[req.accountRole] || [],
+         error: 'Failed to load data',
+       });
+     }
+   });
+
+   // actionId is optional: the serving page sends one so that, if the response is lost, queuing and syncing the
+   // same serve later is recognised as done
+   app.post('/api/meal/serve/:userId', requireStaff, requirePermission('serving'), async (req, res) => {
+     const { userId } = req.params;
+     const { mealType, date, actionId } = req.body;
+     try {
+       if (!['Lunch', 'Dinner'].includes(mealType)) return res.status(400).json({ error: 'Invalid meal type' });
+       const selectedDate = parseDay(date);
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       if (actionId !== undefined && !isActionId(actionId)) return res.status(400).json({ error: 'Invalid action id' });
+       if (await outsideHall(userId, staffHallOf(req))) return res.status(403).json({ error: OTHER_HALL_ERROR });
+       const result = await serveMeal(userId, mealType, selectedDate);
+       if (result.error) return res.status(result.status).json({ error: result.error });
+       await logServingEvent(req, { date: selectedDate, action: 'Serve', mealType, userId, clientActionId: actionId });
+       res.json({ message: result.message });
+     } catch (error) {
+       console.error('Error serving meal:', error.message);
+       res.status(500).json({ error: 'Failed to serve meal' });
+     }
+   });
+
+   // Serves today's meal for a scanned check-in token, logging it. Returns { status, error?, message?, user? }.
+   async function serveCheckIn(req, token, mealType) {
+     if (!['Lunch', 'Dinner'].includes(mealType)) return { status: 400, error: 'Invalid meal type' };
+     const today = currentDay();
+     const userId = verifyCheckInToken(token, today);
+     if (!userId) return { status: 400, error: 'Invalid or expired QR code' };
+     const user = await User.findById(userId, 'name classRoll batch hall').lean();
+     if (!user) return { status: 404, error: 'User not found' };
+     const hall = staffHallOf(req);
+     if (hall && user.hall !== hall) return { status: 403, error: OTHER_HALL_ERROR, user };
+     const { conflict, ...result } = await serveMeal(userId, mealType, today);
+     if (result.error) return { ...result, user };
+     await logServingEvent(req, { date: today, action: 'Serve', mealType, userId, details: 'QR scan' });
+     return { status: 200, ...result, user };
+   }
+
+   // Serves recorded by a serving page while it was offline, sent in the order they were made. Each carries the id the
+   // page gave it and the time it happened; an id already logged is reported as a duplicate and not served again,
+   // so a page can resend a batch whose response it never got. Serves the booking no longer allows come back as
+   // conflicts, with the student's current row, for staff to resolve.
+   const MAX_SYNC_ACTIONS = 500;
+
+   const isActionId = value => typeof value === 'string' && /^[\w-]{8,64}$/.test(value);
+
+   async function syncServeAction(req, action) {
+     const { id, userId, mealType } = action || {};
+     if (!isActionId(id)) return { id, status: 'invalid', error: 'Invalid action id' };
+     if (!['Lunch', 'Dinner'].includes(mealType)) return { id, status: 'invalid', error: 'Invalid meal type' };
+     if (!mongoose.isValidObjectId(userId)) return { id, status: 'invalid', error: 'Invalid user' };
+     const date = parseDay(action.date);
+     if (!date) return { id, status: 'invalid', error: 'Invalid date' };
+     const at = new Date(action.at);
+     if (Number.isNaN(at.getTime())) return { id, status: 'invalid', error: 'Invalid time' };
+     if (await ServingEvent.exists({ clientActionId: id })) return { id, status: 'duplicate' };
+     if (await outsideHall(userId, staffHallOf(req))) return { id, status: 'invalid', error: OTHER_HALL_ERROR };
+
+     const result = await serveMeal(userId, mealType, date);
+     if (result.error) {
+       // The same batch sent twice at once: the other request served it
+       if (await ServingEvent.exists({ clientActionId: id })) return { id, status: 'duplicate' };
+       const row = await MealHistory.findOne({ userId, date }, 'meal isExtra lunchServed dinnerServed').lean();
+       return { id, status: 'conflict', error: result.error, reason: result.conflict || 'other', row };
+     }
+     await logServingEvent(req, {
+       date,
+       action: 'Serve',
+       mealType,
+       userId,
+       details: 'Recorded offline',
+       clientActionId: id,
+       at: at > new Date() ? new Date() : at, // A device clock running fast cannot log serves in the future
+     });
+     return { id, status: 'applied' };
+   }
+
+   async function syncServeActions(req, actions) {
+     if (!Array.isArray(actions) || !actions.length) return { status: 400, error: 'Actions required' };
+     if (actions.length > MAX_SYNC_ACTIONS) return { status: 400, error: `At most ${MAX_SYNC_ACTIONS} actions per sync` };
+     const results = [];
+     for (const action of actions) results.push(await syncServeAction(req, action));
+     return { status: 200, results };
+   }
+
+   app.post('/api/meal/sync', requireStaff, requirePermission('serving'), async (req, res) => {
+     try {
+       const { status, ...result } = await syncServeActions(req, req.body.actions);
+       res.status(status).json(result);
+     } catch (error) {
+       console.error('Error syncing offline serves:', error.message);
+       res.status(500).json({ error: 'Failed to sync offline serves' });
+     }
+   });
+
+   app.get('/staff/scan', requireStaff, requirePermission('serving'), (req, res) => {
+     res.render('staff-scan');
+   });
+
+   // Serves today's meal for the student whose check-in token was scanned
+   app.post('/api/meal/scan', requireStaff, requirePermission('serving'), async (req, res) => {
+     const { token, mealType } = req.body;
+     try {
+       const { status, ...result } = await serveCheckIn(req, token, mealType);
+       res.status(status).json(result);
+     } catch (error) {
+       console.error('Error scanning check-in:', error.message);
+       res.status(500).json({ error: 'Failed to scan check-in' });
+     }
+   });
+
+   // Serves one guest of a booking at a time, so a host's guests can arrive separately
+   app.post('/api/meal/guests/:id/serve', requireStaff, requirePermission('serving'), async (req, res) => {
+     try {
+       const booking = await GuestMeal.findById(req.params.id, 'userId').lean();
+       if (!booking) return res.status(404).json({ error: 'Guest booking not found' });
+       if (await outsideHall(booking.userId, staffHallOf(req))) return res.status(403).json({ error: OTHER_HALL_ERROR });
+       const guestMeal = await GuestMeal.findOneAndUpdate(
+         { _id: req.params.id, $expr: { $lt: ['$servedCount', '$count'] } },
+         { $inc: { servedCount: 1 } },
+         { new: true },
+       ).lean();
+       if (!guestMeal) return res.status(400).json({ error: 'All guests of this booking have been served' });
+       await logServingEvent(req, {
+         date: guestMeal.date,
+         action: 'GuestServe',
+         mealType: guestMeal.mealType,
+         userId: guestMeal.userId,
+         details: `Guest ${guestMeal.servedCount} of ${guestMeal.count}`,
+       });
+       res.json({ message: 'Guest served', servedCount: guestMeal.servedCount, count: guestMeal.count });
+     } catch (error) {
+       console.error('Error serving guest meal:', error.message);
+       res.status(500).json({ error: 'Failed to serve guest meal' });
+     }
+   });
+
+   // Undoes a mis-click, but only for a serve logged within the last UNSERVE_WINDOW_MINUTES
+   async function unserveMeal(req, userId, mealType, date) {
+     if (!['Lunch', 'Dinner'].includes(mealType)) return { status: 400, error: 'Invalid meal type' };
+     const selectedDate = parseDay(date);
+     if (!selectedDate) return { status: 400, error: 'Invalid date' };
+     if (await outsideHall(userId, staffHallOf(req))) return { status: 403, error: OTHER_HALL_ERROR };
+     const servedField = mealType === 'Lunch' ? 'lunchServed' : 'dinnerServed';
+     const mealHistory = await MealHistory.findOne({ userId, date: selectedDate }).lean();
+     if (!mealHistory?.[servedField]) return { status: 400, error: `${mealType} not served` };
+     const lastEvent = await ServingEvent.findOne({ userId, date: selectedDate, mealType, action: { $in: ['Serve', 'Unserve'] } }).sort({ at: -1 }).lean();
+     if (lastEvent?.action !== 'Serve' || Date.now() - lastEvent.at > UNSERVE_WINDOW_MINUTES * 60 * 1000) {
+       return { status: 400, error: `Serves can only be undone within ${UNSERVE_WINDOW_MINUTES} minutes` };
+     }
+     await MealHistory.updateOne({ _id: mealHistory._id }, { [servedField]: false });
+     await logServingEvent(req, { date: selectedDate, action: 'Unserve', mealType, userId });
+     return { status: 200, message: `${mealType} unserved` };
+   }
+
+   app.post('/api/meal/unserve/:userId', requireStaff, requirePermission('serving'), async (req, res) => {
+     const { mealType, date } = req.body;
+     try {
+       const { status, ...result } = await unserveMeal(req, req.params.userId, mealType, date);
+       res.status(status).json(result);
+     } catch (error) {
+       console.error('Error unserving meal:', error.message);
+       res.status(500).json({ error: 'Failed to unserve meal' });
+     }
+   });
+
+   app.get('/api/meal/serving-events', requireStaff, requirePermission('serving'), async (req, res) => {
+     const { date } = req.query;
+     try {
+       const selectedDate = parseDay(date);
+       if (!selectedDate) return res.status(400).json({ error: 'Valid date required' });
+       const events = await ServingEvent.find({ date: selectedDate, ...(await hallEventFilter(staffHallOf(req))) })
+         .populate('userId', 'name classRoll batch')
+         .populate('staffId', 'email')
+         .sort({ at: -1 })
+         .lean();
+       res.json({ events, unserveWindowMinutes: UNSERVE_WINDOW_MINUTES });
+     } catch (error) {
+       console.error('Error fetching serving events:', error.message);
+       res.status(500).json({ error: 'Failed to fetch serving events' });
+     }
+   });
+
+   // The whole board for a date; live clients load it whenever their stream opens
+   app.get('/api/meal/serving-board', requireStaff, requirePermission('serving'), async (req, res) => {
+     try {
+       const selectedDate = parseDay(req.query.date);
+       if (!selectedDate) return res.status(400).json({ error: 'Valid date required' });
+       res.json(await loadServingBoard(selectedDate, { hall: requestedHall(req, req.query.hall) }));
+     } catch (error) {
+       console.error('Error loading serving board:', error.message);
+       res.status(500).json({ error: 'Failed to load serving board' });
+     }
+   });
+
+   // Server-Sent Events stream of changes to a date's board (see services/servingFeed.js)
+   app.get('/api/meal/live', requireStaff, requirePermission('serving'), (req, res) => {
+     const selectedDate = parseDay(req.query.date);
+     if (!selectedDate) return res.status(400).json({ error: 'Valid date required' });
+     servingFeed.subscribe(req, res, selectedDate, requestedHall(req, req.query.hall));
+   });
+
+   // Big-screen remaining/served counts for the serving counter; follows the current day unless a date is given
+   app.get('/staff/counter', requireStaff, requirePermission('serving'), (req, res) => {
+     const selectedDate = (req.query.date && parseDay(req.query.date)) || currentDay();
+     const hall = requestedHall(req, req.query.hall);
+     res.render('staff-counter', { selectedDate: dayKey(selectedDate), followToday: !req.query.date, timezone: TIMEZONE, hall });
+   });
+
+   // Limited to the staff member's hall, or to the hall given by staff who cover every hall
+   app.post('/api/meal/extra', requireStaff, requirePermission('extraMeals'), async (req, res) => {
+     const { date, mealType } = req.body;
+     const hall = requestedHall(req, req.body.hall);
+     try {
+       if (!['Lunch', 'Dinner', 'Both'].includes(mealType)) return res.status(400).json({ error: 'Invalid meal type' });
+       const selectedDate = parseDay(date);
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       const calendarDay = await CalendarDay.findOne({ date: selectedDate }).lean();
+       if (clampMeal(mealType, openMealsFor(calendarDay)) !== mealType) return res.status(400).json({ error: describeClosure(calendarDay) });
+       // Only the students who were Off are switched, so only their totals move
+       const inHall = await hallUserFilter(hall);
+       const enabled = await mealBooking.transaction(async session => {
+         const offRows = await MealHistory.find({ date: selectedDate, meal: 'Off', ...inHall }).session(session).lean();
+         for (const mealHistory of offRows) {
+           await mealBooking.bookDay({ userId: mealHistory.userId, date: selectedDate, meal: mealType, changes: { isExtra: true }, session });
+         }
+         return offRows.length;
+       });
+       await logServingEvent(req, { date: selectedDate, action: 'Extra', mealType, hall: hall || undefined, details: `Enabled for ${enabled} users${hall ? ` in ${hall}` : ''}` });
+       res.json({ message: `Extra ${mealType} enabled for ${enabled} users${hall ? ` in ${hall}` : ''}` });
+     } catch (error) {
+       console.error('Error enabling extra meals:', error.message);
+       res.status(500).json({ error: 'Failed to enable extra meals' });
+     }
+   });
+
+   app.post('/api/meal/extra-specific', requireStaff, requirePermission('extraMeals'), async (req, res) => {
+     const { userId, mealType, date } = req.body;
+     try {
+       if (!['Lunch', 'Dinner'].includes(mealType)) return res.status(400).json({ error: 'Invalid meal type' });
+       const selectedDate = parseDay(date);
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       const calendarDay = await CalendarDay.findOne({ date: selectedDate }).lean();
+       if (!openMealsFor(calendarDay).includes(mealType)) return res.status(400).json({ error: describeClosure(calendarDay) });
+       if (await outsideHall(userId, staffHallOf(req))) return res.status(403).json({ error: OTHER_HALL_ERROR });
+       const mealHistory = await MealHistory.findOne({ userId, date: selectedDate }).lean();
+       if (!mealHistory) {
+         const user = await User.findById(userId).lean();
+         if (!user) return res.status(404).json({ error: 'User not found' });
+         if (user.status !== 'Active') return res.status(400).json({ error: 'Account is not active' });
+       }
+       const oldMeal = mealHistory?.meal || 'Off';
+       let newMeal;
+       if (oldMeal === 'Off') {
+         newMeal = mealType;
+       } else if (oldMeal === 'Lunch' && mealType === 'Dinner' || oldMeal === 'Dinner' && mealType === 'Lunch') {
+         newMeal = 'Both';
+       } else {
+         return res.status(400).json({ error: `${mealType} already enabled` });
+       }
+       await mealBooking.bookDay({ userId, date: selectedDate, meal: newMeal, changes: { isExtra: true } });
+       await logServingEvent(req, { date: selectedDate, action: 'Extra', mealType, userId, details: `${oldMeal} -> ${newMeal}` });
+       res.json({ message: `Extra ${mealType} enabled` });
+     } catch (error) {
+       console.error('Error enabling specific extra meal:', error.message);
+       res.status(500).json({ error: 'Failed to enable extra meal' });
+     }
+   });
+
+   app.get('/api/meal/all-users', requireStaff, requirePermission('serving'), async (req, res) => {
+     const { date, batch, gender } = req.query;
+     const hall = requestedHall(req, req.query.hall);
+     try {
+       const selectedDate = parseDay(date);
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       let query = { status: 'Active' };
+       if (hall) query.hall = hall;
+       if (batch && batch !== 'all') query.batch = batch;
+       if (gender && gender !== 'all') query.gender = gender;
+       const users = await User.find(query).lean();
+       const mealHistories = await MealHistory.find({ date: selectedDate, userId: { $in: users.map(user => user._id) } }).lean();
+       const offUsers = users.map(user => {
+         const mealHistory = mealHistories.find(mh => mh.userId.toString() === user._id.toString()) || { meal: 'Off', lunchServed: false, dinnerServed: false };
+         const offMeals = [];
+         if (mealHistory.meal === 'Off') offMeals.push('Lunch', 'Dinner');
+         else if (mealHistory.meal === 'Lunch' && !mealHistory.lunchServed) offMeals.push('Dinner');
+         else if (mealHistory.meal === 'Dinner' && !mealHistory.dinnerServed) offMeals.push('Lunch');
+         else if (mealHistory.meal === 'Both' && !mealHistory.lunchServed) offMeals.push('Lunch');
+         else if (mealHistory.meal === 'Both' && !mealHistory.dinnerServed) offMeals.push('Dinner');
+         return offMeals.length ? { _id: user._id, name: user.name, classRoll: user.classRoll, offMeals } : null;
+       }).filter(Boolean);
+       res.json(offUsers);
+     } catch (error) {
+       console.error('Error fetching users:', error.message);
+       res.status(500).json({ error: 'Failed to fetch users' });
+     }
+   });
+
+   // Defaults to tomorrow and the week after it
+   app.get('/api/meal/forecast', requireStaff, requirePermission('serving'), async (req, res) => {
+     const { from, days } = req.query;
+     try {
+       const startDate = from ? parseDay(from) : addDays(currentDay(), 1);
+       if (!startDate) return res.status(400).json({ error: 'Invalid date' });
+       const dayCount = days === undefined ? 8 : Number(days);
+       if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > MAX_FORECAST_DAYS) return res.status(400).json({ error: `Days must be between 1 and ${MAX_FORECAST_DAYS}` });
+       res.json({ generatedAt: new Date(), days: await buildMealForecast(startDate, dayCount, requestedHall(req, req.query.hall)) });
+     } catch (error) {
+       console.error('Error building forecast:', error.message);
+       res.status(500).json({ error: 'Failed to build forecast' });
+     }
+   });
+
+   app.get('/staff/forecast', requireStaff, requirePermission('serving'), (req, res) => {
+     res.render('staff-forecast', { hall: requestedHall(req, req.query.hall) });
+   });
+
+   app.get('/api/meal/total-count', requireStaff, requirePermission('serving'), async (req, res) => {
+     const { date } = req.query;
+     try {
+       const selectedDate = parseDay(date);
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       const inHall = await hallUserFilter(requestedHall(req, req.query.hall));
+       const mealHistories = await MealHistory.find({ date: selectedDate, ...inHall }).lean();
+       const guestMeals = await GuestMeal.find({ date: selectedDate, ...inHall }).lean();
+       const guestCount = guestMeals.reduce((sum, gm) => sum + gm.count, 0);
+       const totalCount = mealHistories.reduce((sum, mh) => sum + mh.dailyMealCount, 0) + guestCount;
+       res.json({ totalCount, guestCount });
+     } catch (error) {
+       console.error('Error fetching total meal count:', error.message);
+       res.status(500).json({ error: 'Failed to fetch total meal count' });
+     }
+   });
+
+   // Also approves a student's late request when lateRequestId is given, applying the meal and items they asked for
+   app.post('/api/meal/staff-update', requireStaff, requirePermission('mealUpdates'), async (req, res) => {
+     const { userId, meal, date, lateRequestId } = req.body;
+     try {
+       if (!['Lunch', 'Dinner', 'Both', 'Off'].includes(meal)) return res.status(400).json({ error: 'Invalid meal type' });
+       if (!date || !userId) return res.status(400).json({ error: 'Date and userId required' });
+       const selectedDate = parseDay(date);
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       const user = await User.findById(userId).lean();
+       if (!user) return res.status(401).json({ error: 'User not found' });
+       if (user.status !== 'Active') return res.status(400).json({ error: 'Account is not active' });
+       const hall = staffHallOf(req);
+       if (hall && user.hall !== hall) return res.status(403).json({ error: OTHER_HALL_ERROR });
+       const lateRequest = lateRequestId ? await LateRequest.findOne({ _id: lateRequestId, userId, date: selectedDate, meal, status: 'Pending' }).lean() : null;
+       if (lateRequestId && !lateRequest) return res.status(404).json({ error: 'Late request not found or already handled' });
+       const itemUpdate = {};
+       if (lateRequest) {
+         const { error, charge } = await priceAdditionalItems({ userId, date: selectedDate, meal, items: lateRequest.additionalItems, enforceLimits: false });
+         if (error) return res.status(400).json({ error });
+         Object.assign(itemUpdate, { additionalItems: lateRequest.additionalItems, additionalCharge: charge });
+       }
+       const { before } = await mealBooking.transaction(async session => {
+         const booked = await mealBooking.bookDay({ userId, date: selectedDate, meal, changes: itemUpdate, session });
+         if (lateRequest) await LateRequest.updateOne({ _id: lateRequest._id }, { status: 'Approved', handledAt: new Date() }, { session });
+         return booked;
+       });
+       await logServingEvent(req, {
+         date: selectedDate,
+         action: 'StaffUpdate',
+         mealType: meal,
+         userId,
+         details: `${before?.meal || 'No booking'} -> ${meal}${lateRequest ? ' (late request approved)' : ''}`,
+       });
+       if (lateRequest) {
+         await notifyRequestAnswered(userId, lateRequest._id, {
+           title: 'Late request approved',
+           text: `Your late change for ${describeDay(selectedDate)} was approved: you are booked for ${describeMeals(meal)}.`,
+         });
+       }
+       res.json({ message: lateRequest ? 'Late request approved' : 'Meal updated successfully' });
+     } catch (error) {
+       console.error('Error updating meal:', error.message);
+       res.status(500).json({ error: 'Failed to update meal' });
+     }
+   });
+
+   app.get('/api/meal/late-requests', requireStaff, requirePermission('serving'), async (req, res) => {
+     const { date } = req.query;
+     try {
+       const selectedDate = parseDay(date);
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       const lateRequests = await LateRequest.find({ date: selectedDate, status: 'Pending', ...(await hallUserFilter(staffHallOf(req))) })
+         .populate('userId', 'name classRoll batch')
+         .sort({ updatedAt: 1 })
+         .lean();
+       res.json(lateRequests);
+     } catch (error) {
+       console.error('Error fetching late requests:', error.message);
+       res.status(500).json({ error: 'Failed to fetch late requests' });
+     }
+   });
+
+   app.post('/api/meal/late-requests/:id/reject', requireStaff, requirePermission('mealUpdates'), async (req, res) => {
+     try {
+       const rejected = await LateRequest.findOneAndUpdate(
+         { _id: req.params.id, status: 'Pending', ...(await hallUserFilter(staffHallOf(req))) },
+         { status: 'Rejected', handledAt: new Date() },
+       ).lean();
+       if (!rejected) return res.status(404).json({ error: 'Late request not found or already handled' });
+       await notifyRequestAnswered(rejected.userId, rejected._id, {
+         title: 'Late request rejected',
+         text: `Your late change to ${rejected.meal} for ${describeDay(rejected.date)} was not approved; your booking stays as it was.`,
+       });
+       res.json({ message: 'Late request rejected' });
+     } catch (error) {
+       console.error('Error rejecting late request:', error.message);
+       res.status(500).json({ error: 'Failed to reject late request' });
+     }
+   });
+
+   app.get('/api/meal-cutoffs', requireLogin, async (req, res) => {
+     try {
+       const rules = await MealCutoff.find().sort({ meal: 1 }).lean();
+       res.json(rules.map(rule => ({ meal: rule.meal, lateAction: rule.lateAction, description: describeCutoff(rule) })));
+     } catch (error) {
+       console.error('Error fetching meal cutoffs:', error.message);
+       res.status(500).json({ error: 'Failed to fetch meal cutoffs' });
+     }
+   });
+
+   app.get('/admin/cutoffs', requireAdmin, requirePermission('settings'), async (req, res) => {
+     try {
+       const rules = await MealCutoff.find().lean();
+       res.render('admin-cutoffs', { rules, error: null });
+     } catch (error) {
+       console.error('Error loading meal cutoffs:', error.message);
+       res.status(500).render('admin-cutoffs', { rules: [], error: 'Failed to load meal cutoffs' });
+     }
+   });
+
+   app.post('/api/cutoffs', requireAdmin, requirePermission('settings'), async (req, res) => {
+     const { meal, daysBefore, time, lateAction } = req.body;
+     try {
+       if (!['Lunch', 'Dinner'].includes(meal)) return res.status(400).json({ error: 'Invalid meal type' });
+       if (!Number.isInteger(Number(daysBefore)) || Number(daysBefore) < 0) return res.status(400).json({ error: 'Invalid days before' });
+       if (!TIME_PATTERN.test(time)) return res.status(400).json({ error: 'Time must be HH:MM' });
+       if (!['Reject', 'Queue'].includes(lateAction)) return res.status(400).json({ error: 'Invalid late action' });
+       await MealCutoff.updateOne({ meal }, { daysBefore: Number(daysBefore), time, lateAction }, { upsert: true });
+       res.json({ message: `${meal} cutoff saved` });
+     } catch (error) {
+       console.error('Error saving meal cutoff:', error.message);
+       res.status(500).json({ error: 'Failed to save meal cutoff' });
+     }
+   });
+
+   app.delete('/api/cutoffs/:meal', requireAdmin, requirePermission('settings'), async (req, res) => {
+     try {
+       const deleted = await MealCutoff.deleteOne({ meal: req.params.meal });
+       if (!deleted.deletedCount) return res.status(404).json({ error: 'Cutoff not found' });
+       res.json({ message: `${req.params.meal} cutoff removed` });
+     } catch (error) {
+       console.error('Error removing meal cutoff:', error.message);
+       res.status(500).json({ error: 'Failed to remove meal cutoff' });
+     }
+   });
+
+   app.post('/api/users/:id/update', requireAdmin, async (req, res) => {
+     const { id } = req.params;
+     const { deposit, totalMealCount } = req.body;
+     try {
+       if (deposit === undefined && totalMealCount === undefined) return res.status(400).json({ error: 'No updates provided' });
+       const user = await User.findById(id).lean();
+       if (!user) return res.status(404).json({ error: 'User not found' });
+       if (deposit !== undefined && Number(deposit) !== user.deposit && !hasPermission(req, 'deposits')) return res.status(403).json({ error: 'Forbidden: Your role cannot change deposits' });
+       // The total is derived from meal history (and the nightly reconciliation would undo an override)
+       if (totalMealCount !== undefined && Number(totalMealCount) !== user.totalMealCount) {
+         return res.status(400).json({ error: 'Total meal count follows meal history; change the day or approve a correction instead' });
+       }
+       // A new deposit figure is recorded as a ledger adjustment for the difference rather than overwritten
+       if (deposit !== undefined && Number(deposit) !== user.deposit) {
+         await openLedger(user);
+         await new Transaction({
+           userId: id,
+           type: 'Adjustment',
+           amount: roundMoney(Number(deposit) - user.deposit),
+           recordedBy: req.session.adminId,
+           note: 'Deposit corrected from admin dashboard',
+         }).save();
+         await syncUserDeposit(id);
+       }
+       res.json({ message: 'User updated successfully' });
+     } catch (error) {
+       console.error('Error updating user:', error.message);
+       res.status(500).json({ error: 'Failed to update user' });
+     }
+   });
+
+   // Approving fails while someone else holds the roll; reassign or merge first
+   app.post('/api/users/:id/approve', requireAdmin, requirePermission('students'), async (req, res) => {
+     try {
+       const user = await User.findOne({ _id: req.params.id, status: 'Pending' }).lean();
+       if (!user) return res.status(404).json({ error: 'Pending user not found' });
+       const holder = await findRollHolder(user.classRoll, user.batch, user._id);
+       if (holder) return res.status(409).json({ error: `Roll ${user.classRoll} of batch ${user.batch} is held by ${holder.name} (${holder.email})` });
+       await User.updateOne({ _id: user._id }, { status: 'Active' });
+       res.json({ message: `${user.name} approved` });
+     } catch (error) {
+       console.error('Error approving signup:', error.message);
+       res.status(500).json({ error: 'Failed to approve signup' });
+     }
+   });
+
+   app.post('/api/users/:id/reject', requireAdmin, requirePermission('students'), async (req, res) => {
+     try {
+       const rejected = await User.updateOne({ _id: req.params.id, status: 'Pending' }, { status: 'Rejected' });
+       if (!rejected.modifiedCount) return res.status(404).json({ error: 'Pending user not found' });
+       await endAccountSessions('user', req.params.id);
+       res.json({ message: 'Signup rejected' });
+     } catch (error) {
+       console.error('Error rejecting signup:', error.message);
+       res.status(500).json({ error: 'Failed to reject signup' });
+     }
+   });
+
+   // Moves a student (usually whoever wrongly took a roll) to another roll/batch
+   app.post('/api/users/:id/reassign', requireAdmin, requirePermission('students'), async (req, res) => {
+     const { classRoll, batch } = req.body;
+     try {
+       const roll = Number(classRoll);
+       if (!Number.isInteger(roll) || roll < 1 || roll > 100) return res.status(400).json({ error: 'Invalid class roll' });
+       if (!(await activeBatchCodes()).includes(batch)) return res.status(400).json({ error: 'Invalid batch' });
+       const user = await User.findById(req.params.id).lean();
+       if (!user) return res.status(404).json({ error: 'User not found' });
+       const holder = await findRollHolder(roll, batch, user._id);
+       if (holder && user.status === 'Active') return res.status(409).json({ error: `Roll ${roll} of batch ${batch} is held by ${holder.name} (${holder.email})` });
+       await User.updateOne({ _id: user._id }, { classRoll: roll, batch });
+       res.json({ message: `${user.name} moved to roll ${roll}, batch ${batch}` });
+     } catch (error) {
+       console.error('Error reassigning roll:', error.message);
+       res.status(500).json({ error: 'Failed to reassign roll' });
+     }
+   });
+
+   // The claimant is the real owner of an existing account: it takes over that account's login and details,
+   // keeping its meal history and ledger, and the pending signup is removed
+   app.post('/api/users/:id/merge', requireAdmin, requirePermission('students'), async (req, res) => {
+     const { intoUserId } = req.body;
+     try {
+       const claimant = await User.findOne({ _id: req.params.id, status: 'Pending' }).lean();
+       if (!claimant) return res.status(404).json({ error: 'Pending user not found' });
+       const account = await User.findOne({ _id: intoUserId, status: 'Active' }).lean();
+       if (!account) return res.status(404).json({ error: 'Account to merge into not found' });
+       // All or nothing, so a failure part-way leaves the signup in place. The email is unique, so it moves across
+       // only once the claimant is gone.
+       await mealBooking.transaction(async session => {
+         await User.updateOne({ _id: account._id }, {
+           name: claimant.name,
+           password: claimant.password,
+           gender: claimant.gender,
+           emailVerified: claimant.emailVerified,
+           emailVerifiedAt: claimant.emailVerifiedAt,
+         }, { session });
+         await User.deleteOne({ _id: claimant._id }, { session });
+         await User.updateOne({ _id: account._id }, { email: claimant.email }, { session });
+         await UserToken.updateMany({ userId: claimant._id }, { userId: account._id }, { session });
+         // The signup's browsers, reminder log and API logins go with it; the claimant signs in again as the account
+         await PushSubscription.deleteMany({ userId: claimant._id }, { session });
+         await NotificationLog.deleteMany({ userId: claimant._id }, { session });
+         await RefreshToken.deleteMany({ accountId: claimant._id }, { session });
+       });
+       await endAccountSessions('user', claimant._id);
+       await endAccountSessions('user', account._id);
+       res.json({ message: `${claimant.email} now owns roll ${account.classRoll} of batch ${account.batch}` });
+     } catch (error) {
+       console.error('Error merging accounts:', error.message);
+       res.status(500).json({ error: 'Failed to merge accounts' });
+     }
+   });
+
+   app.post('/api/users/:id/verify', requireAdmin, requirePermission('students'), async (req, res) => {
+     try {
+       const updated = await User.updateOne({ _id: req.params.id }, { emailVerified: true, emailVerifiedAt: new Date() });
+       if (!updated.matchedCount) return res.status(404).json({ error: 'User not found' });
+       res.json({ message: 'Student approved for booking' });
+     } catch (error) {
+       console.error('Error approving user:', error.message);
+       res.status(500).json({ error: 'Failed to approve user' });
+     }
+   });
+
+   app.get('/api/users', requireAdmin, async (req, res) => {
+     try {
+       const users = await User.find().sort({ batch: 1, classRoll: 1 }).lean();
+       res.json(users);
+     } catch (error) {
+       console.error('Error fetching users:', error.message);
+       res.status(500).json({ error: 'Failed to fetch users' });
+     }
+   });
+
+   app.get('/export-excel', requireLogin, async (req, res) => {
+     try {
+       const user = await User.findById(req.session.userId).lean();
+       if (!user) return res.status(404).send('User not found');
+       const users = await User.find({ batch: user.batch, gender: user.gender, status: 'Active', ...(user.hall && { hall: user.hall }) }).sort({ classRoll: 1 }).lean();
+       const mealHistories = await MealHistory.find({ userId: { $in: users.map(u => u._id) } }).lean();
+       const workbook = new ExcelJS.Workbook();
+       const worksheet = workbook.addWorksheet(`MUL-B${user.batch}-${user.gender.charAt(0)}`);
+       worksheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 7 }];
+       worksheet.properties.defaultRowHeight = 20;
+
+       worksheet.mergeCells('A1:G1');
+       worksheet.getCell('A1').value = 'Satkhira Medical College';
+       worksheet.getCell('A1').font = { name: 'Arial', size: 18, bold: true, color: { argb: 'FFFFFFFF' } };
+       worksheet.getCell('A1').fill = { type: 'gradient', gradient: 'linear', stops: [{ position: 0, color: { argb: 'FF2E8B57' } }, { position: 1, color: { argb: 'FF3CB371' } }] };
+       worksheet.getCell('A1').alignment = { vertical: 'middle', horizontal: 'center' };
+       worksheet.getRow(1).height = 50;
+
+       worksheet.mergeCells('A2:G2');
+       worksheet.getCell('A2').value = 'Meal Update List';
+       worksheet.getCell('A2').font = { name: 'Arial', size: 14, bold: true };
+       worksheet.getCell('A2').alignment = { vertical: 'middle', horizontal: 'center' };
+       worksheet.getRow(2).height = 30;
+
+       worksheet.getCell('A3').value = `Batch: ${user.batch}${user.hall ? ` | Hall: ${user.hall}` : ''}`;
+       worksheet.getCell('A4').value = `Gender: ${user.gender}`;
+       worksheet.getCell('A5').value = `Date: ${currentDay().toLocaleDateString('en-GB', { timeZone: 'UTC' })}`;
+       worksheet.getCell('A6').value = `Generated: ${new Date().toLocaleString('en-GB', { timeZone: TIMEZONE })}`;
+       ['A3', 'A4', 'A5', 'A6'].forEach(cell => {
+         worksheet.getCell(cell).font = { name: 'Arial', size: 12, bold: true };
+         worksheet.getCell(cell).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6E6FA' } };
+       });
+
+       worksheet.getRow(7).values = ['Class Roll', 'Name', 'Meal', 'Additional Items', 'Lunch Served', 'Dinner Served', 'Total Meal Count'];
+       worksheet.getRow(7).font = { name: 'Arial', size: 11, bold: true, color: { argb: 'FFFFFFFF' } };
+       worksheet.getRow(7).fill = { type: 'gradient', gradient: 'linear', stops: [{ position: 0, color: { argb: 'FF4682B4' } }, { position: 1, color: { argb: 'FF6495ED' } }] };
+       worksheet.getRow(7).alignment = { vertical: 'middle', horizontal: 'center' };
+       worksheet.getRow(7).height = 25;
+       worksheet.columns = [
+         { key: 'classRoll', width: 12 },
+         { key: 'name', width: 30 },
+         { key: 'meal', width: 15 },
+         { key: 'additionalItems', width: 25 },
+         { key: 'lunchServed', width: 15 },
+         { key: 'dinnerServed', width: 15 },
+         { key: 'totalMealCount', width: 18 },
+       ];
+
+       let rowIndex = 8;
+       for (const user of users) {
+         const userMeals = mealHistories.filter(mh => mh.userId.toString() === user._id.toString());
+         const latestMeal = userMeals.sort((a, b) => b.date - a.date)[0];
+         const row = worksheet.addRow({
+           classRoll: user.classRoll,
+           name: user.name,
+           meal: latestMeal?.meal || 'Off',
+           additionalItems: latestMeal?.additionalItems?.join(', ') || '-',
+           lunchServed: latestMeal?.lunchServed ? 'Yes' : 'No',
+           dinnerServed: latestMeal?.dinnerServed ? 'Yes' : 'No',
+           totalMealCount: user.totalMealCount,
+         });
+         row.font = { name: 'Arial', size: 10 };
+         row.alignment = { vertical: 'middle', horizontal: 'left' };
+         row.eachCell(cell => cell.border = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } });
+         rowIndex++;
+       }
+
+       const fileName = `Meal_Update_B${user.batch}_${user.gender}_${dayKey(currentDay())}.xlsx`;
+       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+       res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+       await workbook.xlsx.write(res);
+       res.end();
+     } catch (error) {
+       console.error('Error exporting Excel:', error.message);
+       res.status(500).send('Error exporting Excel');
+     }
+   });
+
+   app.get('/api/additional-items', requireLogin, async (req, res) => {
+     const { date } = req.query;
+     try {
+       const selectedDate = date ? parseDay(date) : currentDay();
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       const items = await ExtraItem.find({ active: true }).sort({ name: 1 }).lean();
+       const result = [];
+       for (const item of items) {
+         const taken = item.dailyLimit
+           ? await MealHistory.countDocuments({ date: selectedDate, additionalItems: item.name, meal: { $ne: 'Off' } })
+           : 0;
+         result.push({
+           name: item.name,
+           price: item.price,
+           meals: item.meals,
+           cutoffTime: item.cutoffTime || null,
+           remaining: item.dailyLimit ? Math.max(item.dailyLimit - taken, 0) : null,
+           isClosed: !!item.cutoffTime && zonedDateTime(selectedDate, item.cutoffTime) < new Date(),
+         });
+       }
+       res.json(result);
+     } catch (error) {
+       console.error('Error fetching additional items:', error.message);
+       res.status(500).json({ error: 'Failed to fetch additional items' });
+     }
+   });
+
+   app.get('/admin/items', requireAdmin, requirePermission('settings'), async (req, res) => {
+     try {
+       const items = await ExtraItem.find().sort({ name: 1 }).lean();
+       res.render('admin-items', { items, settings: await getMessSettings(), error: null });
+     } catch (error) {
+       console.error('Error loading items:', error.message);
+       res.status(500).render('admin-items', { items: [], settings: { guestMealRate: 0 }, error: 'Failed to load items' });
+     }
+   });
+
+   // Changing the guest rate only affects guest meals booked afterwards
+   app.post('/api/settings', requireAdmin, requirePermission('settings'), async (req, res) => {
+     const { guestMealRate } = req.body;
+     try {
+       if (guestMealRate === undefined || guestMealRate === '' || !(Number(guestMealRate) >= 0)) return res.status(400).json({ error: 'Invalid guest meal rate' });
+       await MessSettings.updateOne({}, { guestMealRate: Number(guestMealRate) }, { upsert: true });
+       res.json({ message: 'Settings saved' });
+     } catch (error) {
+       console.error('Error saving settings:', error.message);
+       res.status(500).json({ error: 'Failed to save settings' });
+     }
+   });
+
+   app.get('/admin/reminders', requireAdmin, requirePermission('settings'), async (req, res) => {
+     try {
+       const optedIn = Object.fromEntries(await Promise.all(CHANNELS.map(async channel =>
+         [channel, await User.countDocuments({ status: 'Active', [`notificationChannels.${channel}`]: true })])));
+       res.render('admin-reminders', { reminders: await getReminderSettings(), optedIn, error: null });
+     } catch (error) {
+       console.error('Error loading reminder settings:', error.message);
+       res.status(500).render('admin-reminders', { reminders: REMINDER_DEFAULTS, optedIn: {}, error: 'Failed to load reminder settings' });
+     }
+   });
+
+   app.post('/api/settings/reminders', requireAdmin, requirePermission('settings'), async (req, res) => {
+     const { unbookedDay, cutoff, cutoffMinutes, lowBalance, lowBalanceThreshold, requestAnswered } = req.body;
+     try {
+       const minutes = Number(cutoffMinutes);
+       if (!Number.isInteger(minutes) || minutes < 5 || minutes > 24 * 60) return res.status(400).json({ error: 'Cutoff reminder lead must be between 5 minutes and 24 hours' });
+       if (lowBalanceThreshold === '' || !Number.isFinite(Number(lowBalanceThreshold))) return res.status(400).json({ error: 'Invalid balance threshold' });
+       const reminders = {
+         unbookedDay: unbookedDay === true,
+         cutoff: cutoff === true,
+         cutoffMinutes: minutes,
+         lowBalance: lowBalance === true,
+         lowBalanceThreshold: Number(lowBalanceThreshold),
+         requestAnswered: requestAnswered === true,
+       };
+       await MessSettings.updateOne({}, { reminders }, { upsert: true });
+       res.json({ message: 'Reminder settings saved' });
+     } catch (error) {
+       console.error('Error saving reminder settings:', error.message);
+       res.status(500).json({ error: 'Failed to save reminder settings' });
+     }
+   });
+
+   app.post('/api/items', requireAdmin, requirePermission('settings'), async (req, res) => {
+     try {
+       const { error, item } = parseExtraItem(req.body);
+       if (error) return res.status(400).json({ error });
+       if (await ExtraItem.exists({ name: item.name })) return res.status(400).json({ error: 'Item already exists' });
+       await new ExtraItem(item).save();
+       res.json({ message: 'Item created successfully' });
+     } catch (error) {
+       console.error('Error creating item:', error.message);
+       res.status(500).json({ error: 'Failed to create item' });
+     }
+   });
+
+   // Renaming is not allowed because MealHistory rows reference items by name
+   app.post('/api/items/:id/update', requireAdmin, requirePermission('settings'), async (req, res) => {
+     try {
+       const existing = await ExtraItem.findById(req.params.id).lean();
+       if (!existing) return res.status(404).json({ error: 'Item not found' });
+       const { error, item } = parseExtraItem({ ...req.body, name: existing.name });
+       if (error) return res.status(400).json({ error });
+       const { cutoffTime, ...fields } = item;
+       await ExtraItem.updateOne({ _id: existing._id }, cutoffTime ? { ...fields, cutoffTime } : { ...fields, $unset: { cutoffTime: 1 } });
+       res.json({ message: 'Item updated successfully' });
+     } catch (error) {
+       console.error('Error updating item:', error.message);
+       res.status(500).json({ error: 'Failed to update item' });
+     }
+   });
+
+   app.get('/admin/calendar', requireAdmin, requirePermission('settings'), async (req, res) => {
+     try {
+       const since = addDays(currentDay(), -30);
+       const calendarDays = await CalendarDay.find({ date: { $gte: since } }).sort({ date: 1 }).lean();
+       res.render('admin-calendar', { calendarDays, timezone: TIMEZONE, error: null });
+     } catch (error) {
+       console.error('Error loading calendar:', error.message);
+       res.status(500).render('admin-calendar', { calendarDays: [], timezone: TIMEZONE, error: 'Failed to load calendar' });
+     }
+   });
+
+   app.post('/api/calendar', requireAdmin, requirePermission('settings'), async (req, res) => {
+     const { date, type, note, feastCharge, optOutDeadline } = req.body;
+     try {
+       if (!['Closed', 'LunchOnly', 'DinnerOnly', 'Feast'].includes(type)) return res.status(400).json({ error: 'Invalid day type' });
+       const selectedDate = parseDay(date);
+       if (!selectedDate) return res.status(400).json({ error: 'Valid date required' });
+       // Past days were already served and billed as booked
+       if (isPastDay(selectedDate)) return res.status(400).json({ error: 'Cannot change a past date' });
+       if (await BillingPeriod.exists({ month: monthKey(selectedDate) })) return res.status(400).json({ error: 'Billing month is closed' });
+       const fields = { type, note };
+       if (type === 'Feast') {
+         if (!(Number(feastCharge) >= 0)) return res.status(400).json({ error: 'Invalid feast charge' });
+         fields.feastCharge = Number(feastCharge);
+         fields.optOutDeadline = parseZonedDateTime(optOutDeadline);
+         if (!fields.optOutDeadline) return res.status(400).json({ error: 'Opt-out deadline required' });
+         if (fields.optOutDeadline > zonedDateTime(selectedDate, '23:59')) return res.status(400).json({ error: 'Opt-out deadline must be before the feast ends' });
+       }
+       const calendarDay = await CalendarDay.findOneAndUpdate({ date: selectedDate }, fields, { upsert: true, new: true }).lean();
+       const changed = await applyCalendarDay(calendarDay);
+       res.json({ message: `Calendar saved${changed ? `; ${changed} bookings adjusted` : ''}` });
+     } catch (error) {
+       console.error('Error saving calendar day:', error.message);
+       res.status(500).json({ error: 'Failed to save calendar day' });
+     }
+   });
+
+   // Removing an entry reopens the day for new bookings; bookings it already turned Off stay Off
+   app.delete('/api/calendar/:id', requireAdmin, requirePermission('settings'), async (req, res) => {
+     try {
+       const deleted = await CalendarDay.deleteOne({ _id: req.params.id });
+       if (!deleted.deletedCount) return res.status(404).json({ error: 'Calendar day not found' });
+       res.json({ message: 'Calendar day removed' });
+     } catch (error) {
+       console.error('Error removing calendar day:', error.message);
+       res.status(500).json({ error: 'Failed to remove calendar day' });
+     }
+   });
+
+   app.get('/api/calendar/upcoming', requireLogin, async (req, res) => {
+     try {
+       const today = currentDay();
+       const until = addDays(today, 30);
+       const calendarDays = await CalendarDay.find({ date: { $gte: today, $lte: until } }).sort({ date: 1 }).lean();
+       res.json(calendarDays.map(({ _id, date, type, note, feastCharge, optOutDeadline, optedOut }) => ({
+         _id,
+         date,
+         type,
+         note,
+         ...(type === 'Feast' ? {
+           feastCharge,
+           optOutDeadline,
+           isOptedOut: optedOut.some(id => id.toString() === req.session.userId),
+           canChangeOptOut: optOutDeadline > new Date(),
+         } : {}),
+       })));
+     } catch (error) {
+       console.error('Error fetching calendar:', error.message);
+       res.status(500).json({ error: 'Failed to fetch calendar' });
+     }
+   });
+
+   app.post('/api/calendar/:id/opt-out', requireLogin, async (req, res) => {
+     const optOut = req.body.optOut !== false;
+     try {
+       const feast = await CalendarDay.findOne({ _id: req.params.id, type: 'Feast' }).lean();
+       if (!feast) return res.status(404).json({ error: 'Feast not found' });
+       if (feast.optOutDeadline <= new Date()) return res.status(400).json({ error: 'Opt-out deadline has passed' });
+       await CalendarDay.updateOne({ _id: feast._id }, optOut ? { $addToSet: { optedOut: req.session.userId } } : { $pull: { optedOut: req.session.userId } });
+       res.json({ message: optOut ? 'You have opted out of the feast' : 'You are back in for the feast' });
+     } catch (error) {
+       console.error('Error updating feast opt-out:', error.message);
+       res.status(500).json({ error: 'Failed to update feast opt-out' });
+     }
+   });
+
+   app.get('/api/batches', async (req, res) => {
+     try {
+       res.json(await activeBatchCodes());
+     } catch (error) {
+       console.error('Error fetching batches:', error.message);
+       res.status(500).json({ error: 'Failed to fetch batches' });
+     }
+   });
+
+   app.get('/admin/batches', requireAdmin, requirePermission('students'), async (req, res) => {
+     try {
+       const batches = await Batch.find().sort({ archived: 1, code: 1 }).lean();
+       const counts = await User.aggregate([{ $group: { _id: { batch: '$batch', status: '$status' }, count: { $sum: 1 } } }]);
+       batches.forEach(batch => {
+         batch.students = counts.filter(c => c._id.batch === batch.code && ['Active', 'Archived'].includes(c._id.status)).reduce((sum, c) => sum + c.count, 0);
+       });
+       res.render('admin-batches', { batches, error: null });
+     } catch (error) {
+       console.error('Error loading batches:', error.message);
+       res.status(500).render('admin-batches', { batches: [], error: 'Failed to load batches' });
+     }
+   });
+
+   app.post('/api/batches', requireAdmin, requirePermission('students'), async (req, res) => {
+     const code = String(req.body.code || '').trim();
+     try {
+       if (!/^\d{2,4}$/.test(code)) return res.status(400).json({ error: 'Batch code must be 2-4 digits' });
+       if (await Batch.exists({ code })) return res.status(400).json({ error: 'Batch already exists' });
+       await new Batch({ code }).save();
+       res.json({ message: `Batch ${code} added` });
+     } catch (error) {
+       console.error('Error adding batch:', error.message);
+       res.status(500).json({ error: 'Failed to add batch' });
+     }
+   });
+
+   // Archived students keep their history and bills but get no more daily meal rows and can't book; days they had
+   // booked after today are turned Off
+   app.post('/api/batches/:code/archive', requireAdmin, requirePermission('students'), async (req, res) => {
+     const archive = req.body.archived !== false;
+     try {
+       const students = await mealBooking.transaction(async session => {
+         const updated = await Batch.updateOne(
+           { code: req.params.code },
+           archive ? { archived: true, archivedAt: new Date() } : { archived: false, $unset: { archivedAt: 1 } },
+           { session },
+         );
+         if (!updated.matchedCount) return null;
+         const filter = { batch: req.params.code, status: archive ? 'Active' : 'Archived' };
+         const userIds = archive ? await User.distinct('_id', filter).session(session) : [];
+         const changed = await User.updateMany(filter, { status: archive ? 'Archived' : 'Active' }, { session });
+         const booked = await MealHistory.find({ userId: { $in: userIds }, date: { $gt: currentDay() }, meal: { $ne: 'Off' } }).session(session).lean();
+         for (const row of booked) await mealBooking.bookDay({ userId: row.userId, date: row.date, meal: 'Off', session });
+         return changed.modifiedCount;
+       });
+       if (students === null) return res.status(404).json({ error: 'Batch not found' });
+       res.json({ message: `Batch ${req.params.code} ${archive ? 'archived' : 'restored'}; ${students} students updated` });
+     } catch (error) {
+       console.error('Error archiving batch:', error.message);
+       res.status(500).json({ error: 'Failed to update batch' });
+     }
+   });
+
+   app.get('/admin/halls', requireAdmin, requirePermission('students'), async (req, res) => {
+     try {
+       const halls = await listHalls();
+       const students = await User.aggregate([{ $match: { status: { $in: ['Active', 'Pending'] } } }, { $group: { _id: '$hall', count: { $sum: 1 } } }]);
+       const staff = await Staff.aggregate([{ $group: { _id: '$hall', count: { $sum: 1 } } }]);
+       halls.forEach(hall => {
+         hall.students = students.find(s => s._id === hall.code)?.count || 0;
+         hall.staff = staff.find(s => s._id === hall.code)?.count || 0;
+       });
+       const unassigned = students.find(s => !s._id)?.count || 0;
+       res.render('admin-halls', { halls, unassigned, batches: await activeBatchCodes(), genders: ['Male', 'Female'], error: null });
+     } catch (error) {
+       console.error('Error loading dining halls:', error.message);
+       res.status(500).render('admin-halls', { halls: [], unassigned: 0, batches: [], genders: ['Male', 'Female'], error: 'Failed to load dining halls' });
+     }
+   });
+
+   app.post('/api/halls', requireAdmin, requirePermission('students'), async (req, res) => {
+     const code = String(req.body.code || '').trim().toUpperCase();
+     const name = String(req.body.name || '').trim();
+     try {
+       if (!HALL_CODE_PATTERN.test(code)) return res.status(400).json({ error: 'Hall code must be 2-12 letters, digits or dashes, starting with a letter' });
+       if (!name) return res.status(400).json({ error: 'Hall name required' });
+       if (await DiningHall.exists({ code })) return res.status(400).json({ error: 'Dining hall already exists' });
+       await new DiningHall({ code, name }).save();
+       res.json({ message: `Dining hall ${code} added` });
+     } catch (error) {
+       console.error('Error adding dining hall:', error.message);
+       res.status(500).json({ error: 'Failed to add dining hall' });
+     }
+   });
+
+   app.post('/api/halls/:code/update', requireAdmin, requirePermission('students'), async (req, res) => {
+     const name = String(req.body.name || '').trim();
+     try {
+       if (!name) return res.status(400).json({ error: 'Hall name required' });
+       const updated = await DiningHall.updateOne({ code: req.params.code }, { name });
+       if (!updated.matchedCount) return res.status(404).json({ error: 'Dining hall not found' });
+       res.json({ message: 'Dining hall updated' });
+     } catch (error) {
+       console.error('Error updating dining hall:', error.message);
+       res.status(500).json({ error: 'Failed to update dining hall' });
+     }
+   });
+
+   // Moves every active or pending student of a batch and/or gender into the hall, e.g. all female students to the
+   // girls' hostel; 'all' leaves that filter out
+   app.post('/api/halls/:code/assign', requireAdmin, requirePermission('students'), async (req, res) => {
+     const { batch, gender } = req.body;
+     try {
+       if (!(await DiningHall.exists({ code: req.params.code }))) return res.status(404).json({ error: 'Dining hall not found' });
+       const query = { status: { $in: ['Active', 'Pending'] } };
+       if (batch && batch !== 'all') query.batch = String(batch);
+       if (gender && gender !== 'all') query.gender = String(gender);
+       const assigned = await User.updateMany(query, { hall: req.params.code });
+       res.json({ message: `${assigned.modifiedCount} students moved to ${req.params.code}` });
+     } catch (error) {
+       console.error('Error assigning dining hall:', error.message);
+       res.status(500).json({ error: 'Failed to assign dining hall' });
+     }
+   });
+
+   // A blank hall takes the student out of every hall
+   app.post('/api/users/:id/hall', requireAdmin, requirePermission('students'), async (req, res) => {
+     const hall = String(req.body.hall || '');
+     try {
+       if (hall && !(await DiningHall.exists({ code: hall }))) return res.status(400).json({ error: 'Unknown dining hall' });
+       const updated = await User.updateOne({ _id: req.params.id }, hall ? { hall } : { $unset: { hall: 1 } });
+       if (!updated.matchedCount) return res.status(404).json({ error: 'User not found' });
+       res.json({ message: hall ? `Moved to ${hall}` : 'Removed from dining hall' });
+     } catch (error) {
+       console.error('Error setting dining hall:', error.message);
+       res.status(500).json({ error: 'Failed to set dining hall' });
+     }
+   });
+
+   app.get('/admin/import', requireAdmin, requirePermission('students'), (req, res) => {
+     res.render('admin-import');
+   });
+
+   // Takes the roster as base64 in JSON. dryRun only reports; otherwise conflict-free rows are applied and new
+   // students get either an invite email or a temporary password that is returned once in the response.
+   app.post('/api/students/import', requireAdmin, requirePermission('students'), async (req, res) => {
+     const { data, dryRun, credentials } = req.body;
+     try {
+       if (!data) return res.status(400).json({ error: 'Roster file required' });
+       if (!dryRun && !['invite', 'password'].includes(credentials)) return res.status(400).json({ error: 'Choose invite emails or temporary passwords' });
+       let students;
+       try {
+         students = readRoster(Buffer.from(data, 'base64'));
+       } catch (error) {
+         return res.status(400).json({ error: 'Could not read the file; upload an .xlsx or .csv roster' });
+       }
+       if (!students.length) return res.status(400).json({ error: 'The roster has no rows' });
+       const plan = await planRosterImport(students);
+       if (dryRun) return res.json({ dryRun: true, rows: plan });
+
+       for (const row of plan.filter(r => r.action !== 'Skip')) {
+         const fields = { name: row.name, classRoll: row.classRoll, batch: row.batch, gender: row.gender, ...(row.hall && { hall: row.hall }) };
+         if (row.action === 'Update') {
+           // Importing an approved roster settles a pending signup too
+           await User.updateOne({ _id: row.userId }, { ...fields, status: 'Active' });
+           continue;
+         }
+         const temporaryPassword = crypto.randomBytes(6).toString('base64url');
+         const user = await new User({
+           ...fields,
+           email: row.email,
+           password: await bcrypt.hash(temporaryPassword, 10),
+           status: 'Active',
+           emailVerified: true,
+           emailVerifiedAt: new Date(),
+         }).save();
+         if (credentials === 'password') {
+           row.temporaryPassword = temporaryPassword;
+         } else {
+           try {
+             await sendInviteEmail(user);
+           } catch (error) {
+             console.error('Error sending invite:', error.message);
+             row.conflicts.push('Created, but the invite email failed; reset the password from the login page');
+           }
+         }
+       }
+       res.json({ dryRun: false, rows: plan });
+     } catch (error) {
+       console.error('Error importing roster:', error.message);
+       res.status(500).json({ error: 'Failed to import roster' });
+     }
+   });
+
+   app.get('/admin/accounts', requireAdmin, requirePermission('accounts'), async (req, res) => {
+     try {
+       const [admins, staff] = await Promise.all([
+         Admin.find({}, '-password').sort({ email: 1 }).lean(),
+         Staff.find({}, '-password').sort({ email: 1 }).lean(),
+       ]);
+       res.render('admin-accounts', { admins, staff, roles: ACCOUNT_ROLES, halls: await listHalls(), currentAdminId: req.session.adminId, error: null });
+     } catch (error) {
+       console.error('Error loading accounts:', error.message);
+       res.status(500).render('admin-accounts', { admins: [], staff: [], roles: ACCOUNT_ROLES, halls: [], currentAdminId: req.session.adminId, error: 'Failed to load accounts' });
+     }
+   });
+
+   app.post('/api/accounts', requireAdmin, requirePermission('accounts'), async (req, res) => {
+     const { type, name, email, password, role, hall } = req.body;
+     try {
+       const Model = ACCOUNT_MODELS[type];
+       if (!Model) return res.status(400).json({ error: 'Invalid account type' });
+       if (!name || !email || !password) return res.status(400).json({ error: 'Name, email and password required' });
+       if (!ACCOUNT_ROLES[type].includes(role)) return res.status(400).json({ error: 'Invalid role' });
+       if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+       const hallError = hall ? await checkAccountHall(type, hall) : null;
+       if (hallError) return res.status(400).json({ error: hallError });
+       if (await Model.exists({ email })) return res.status(400).json({ error: 'An account with this email already exists' });
+       await new Model({ name, email, password: await bcrypt.hash(password, 10), role, ...(hall && { hall }) }).save();
+       res.json({ message: `${role} account created for ${email}` });
+     } catch (error) {
+       console.error('Error creating account:', error.message);
+       res.status(500).json({ error: 'Failed to create account' });
+     }
+   });
+
+   app.post('/api/accounts/:type/:id/update', requireAdmin, requirePermission('accounts'), async (req, res) => {
+     const { type, id } = req.params;
+     const { name, role, active, hall } = req.body;
+     try {
+       const Model = ACCOUNT_MODELS[type];
+       if (!Model) return res.status(400).json({ error: 'Invalid account type' });
+       if (role !== undefined && !ACCOUNT_ROLES[type].includes(role)) return res.status(400).json({ error: 'Invalid role' });
+       const hallError = hall ? await checkAccountHall(type, hall) : null;
+       if (hallError) return res.status(400).json({ error: hallError });
+       const account = await Model.findById(id).lean();
+       if (!account) return res.status(404).json({ error: 'Account not found' });
+       if (type === 'admin' && await wouldRemoveLastSuperAdmin(account, { role, active })) {
+         return res.status(400).json({ error: 'At least one active super-admin is required' });
+       }
+       const update = {};
+       if (name) update.name = name;
+       if (role !== undefined) update.role = role;
+       if (active !== undefined) update.active = !!active;
+       if (hall) update.hall = hall;
+       else if (hall !== undefined) update.$unset = { hall: 1 };
+       await Model.updateOne({ _id: id }, update);
+       // Sessions and API tokens hold the role, hall and active state from login, so changes take effect by signing
+       // the account out
+       if (role !== undefined || hall !== undefined || active === false) await endAccountSessions(type, id);
+       res.json({ message: 'Account updated' });
+     } catch (error) {
+       console.error('Error updating account:', error.message);
+       res.status(500).json({ error: 'Failed to update account' });
+     }
+   });
+
+   app.post('/api/accounts/:type/:id/reset-password', requireAdmin, requirePermission('accounts'), async (req, res) => {
+     const { type, id } = req.params;
+     const { password } = req.body;
+     try {
+       const Model = ACCOUNT_MODELS[type];
+       if (!Model) return res.status(400).json({ error: 'Invalid account type' });
+       if (!password || password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+       const updated = await Model.updateOne({ _id: id }, { password: await bcrypt.hash(password, 10) });
+       if (!updated.matchedCount) return res.status(404).json({ error: 'Account not found' });
+       await endAccountSessions(type, id);
+       res.json({ message: 'Password reset; the account has been signed out' });
+     } catch (error) {
+       console.error('Error resetting password:', error.message);
+       res.status(500).json({ error: 'Failed to reset password' });
+     }
+   });
+
+   app.get('/admin/billing', requireAdmin, requirePermission('billing'), async (req, res) => {
+     const selectedMonth = MONTH_PATTERN.test(req.query.month) ? req.query.month : monthKey(currentDay());
+     try {
+       const periods = await BillingPeriod.find().sort({ month: -1 }).lean();
+       const billing = await getMonthlyBilling(selectedMonth);
+       res.render('admin-billing', { periods, billing, halls: await listHalls(), selectedMonth, error: null });
+     } catch (error) {
+       console.error('Error loading billing:', error.message);
+       res.status(500).render('admin-billing', { periods: [], billing: null, halls: [], selectedMonth, error: 'Failed to load billing' });
+     }
+   });
+
+   app.get('/api/billing/:month', requireAdmin, requirePermission('billing'), async (req, res) => {
+     const { month } = req.params;
+     try {
+       if (!MONTH_PATTERN.test(month)) return res.status(400).json({ error: 'Invalid month' });
+       res.json(await getMonthlyBilling(month));
+     } catch (error) {
+       console.error('Error fetching billing:', error.message);
+       res.status(500).json({ error: 'Failed to fetch billing' });
+     }
+   });
+
+   app.post('/api/billing/:month/expenses', requireAdmin, requirePermission('billing'), async (req, res) => {
+     const { month } = req.params;
+     const { date, description, amount, hall } = req.body;
+     try {
+       if (!MONTH_PATTERN.test(month)) return res.status(400).json({ error: 'Invalid month' });
+       if (!date || !description || amount === undefined || amount === '') return res.status(400).json({ error: 'Date, description and amount required' });
+       if (!(Number(amount) >= 0)) return res.status(400).json({ error: 'Invalid amount' });
+       const expenseDate = parseDay(date);
+       if (!expenseDate || monthKey(expenseDate) !== month) return res.status(400).json({ error: 'Date must be within the billing month' });
+       if (hall && !(await DiningHall.exists({ code: String(hall) }))) return res.status(400).json({ error: 'Unknown dining hall' });
+       if (await BillingPeriod.findOne({ month }).lean()) return res.status(400).json({ error: 'Billing month is closed' });
+       await new BazarExpense({ month, date: expenseDate, description, amount: Number(amount), hall: hall ? String(hall) : undefined }).save();
+       res.json({ message: 'Expense added successfully' });
+     } catch (error) {
+       console.error('Error adding expense:', error.message);
+       res.status(500).json({ error: 'Failed to add expense' });
+     }
+   });
+
+   app.delete('/api/billing/:month/expenses/:id', requireAdmin, requirePermission('billing'), async (req, res) => {
+     const { month, id } = req.params;
+     try {
+       if (await BillingPeriod.findOne({ month }).lean()) return res.status(400).json({ error: 'Billing month is closed' });
+       const deleted = await BazarExpense.deleteOne({ _id: id, month });
+       if (!deleted.deletedCount) return res.status(404).json({ error: 'Expense not found' });
+       res.json({ message: 'Expense deleted successfully' });
+     } catch (error) {
+       console.error('Error deleting expense:', error.message);
+       res.status(500).json({ error: 'Failed to delete expense' });
+     }
+   });
+
+   app.post('/api/billing/:month/close', requireAdmin, requirePermission('billing'), async (req, res) => {
+     const { month } = req.params;
+     try {
+       if (!MONTH_PATTERN.test(month)) return res.status(400).json({ error: 'Invalid month' });
+       if (zonedDateTime(monthRange(month).end, '00:00') > new Date()) return res.status(400).json({ error: 'Month has not ended yet' });
+       if (await BillingPeriod.findOne({ month }).lean()) return res.status(400).json({ error: 'Billing month already closed' });
+       if (await BillingPeriod.findOne({ month: { $gt: month } }).lean()) return res.status(400).json({ error: 'A later month is already closed' });
+       const { totalExpense, totalMeals, mealRate, sharedExpense, halls, bills } = await computeMonthlyBills(month);
+       if (!totalMeals) return res.status(400).json({ error: 'No meals recorded for this month' });
+       const unbilled = halls.find(hall => hall.totalExpense && !hall.totalMeals);
+       if (unbilled) return res.status(400).json({ error: `${unbilled.hall} has expenses but no meals to bill them to` });
+       // One transaction, so a failed insert leaves the month open to retry; the unique month index makes a concurrent
+       // second close fail before any bills are written
+       await mealBooking.transaction(async session => {
+         await new BillingPeriod({ month, totalExpense, totalMeals, mealRate, sharedExpense, halls }).save({ session });
+         await Bill.insertMany(bills, { session });
        });
+       res.json({ message: `Billing closed for ${month}`, mealRate, totalMeals, totalExpense, halls });
+     } catch (error) {
+       console.error('Error closing billing month:', error.message);
+       res.status(500).json({ error: 'Failed to close billing month' });
+     }
+   });
+
+   app.get('/admin/reports', requireAdmin, requirePermission('billing'), async (req, res) => {
+     try {
+       const batches = (await Batch.find().sort({ archived: 1, code: 1 }).lean()).map(batch => batch.code);
+       res.render('admin-reports', { batches, halls: await listHalls(), error: null });
+     } catch (error) {
+       console.error('Error loading reports:', error.message);
+       res.status(500).render('admin-reports', { batches: [], halls: [], error: 'Failed to load reports' });
      }
    });
 
-   app.post('/api/meal/serve/:userId', requireStaff, async (req, res) => {
-     const { userId } = req.params;
-     const { mealType, date } = req.body;
+   app.get('/api/reports/:type', requireAdmin, requirePermission('billing'), async (req, res) => {
+     const { type } = req.params;
+     const format = req.query.format || 'xlsx';
      try {
-       if (!['Lunch', 'Dinner'].includes(mealType)) return res.status(400).json({ error: 'Invalid meal type' });
-       const selectedDate = new Date(date);
-       selectedDate.setHours(0, 0, 0, 0);
-       let mealHistory = await MealHistory.findOne({ userId, date: selectedDate }).lean();
-       if (!mealHistory) {
-         const user = await User.findById(userId).lean();
-         if (!user) return res.status(404).json({ error: 'User not found' });
-         const previousMeal = await MealHistory.findOne({ userId, date: { $lt: selectedDate } }).sort({ date: -1 }).lean();
-         mealHistory = await new MealHistory({
-           userId,
-           date: selectedDate,
-           meal: previousMeal?.meal || 'Off',
-           additionalItems: previousMeal?.additionalItems || [],
-           dailyMealCount: previousMeal ? (previousMeal.meal === 'Both' ? 2 : ['Lunch', 'Dinner'].includes(previousMeal.meal) ? 1 : 0) : 0,
-           lunchServed: false,
-           dinnerServed: false,
-         }).save();
+       if (!REPORT_TYPES.includes(type)) return res.status(400).json({ error: 'Invalid report type' });
+       if (!['xlsx', 'pdf'].includes(format)) return res.status(400).json({ error: 'Format must be xlsx or pdf' });
+       const { filters, error } = parseReportFilters(req.query);
+       if (error) return res.status(400).json({ error });
+       const report = await REPORT_BUILDERS[type](filters);
+       const fileName = `${type}-${filters.hall ? `${filters.hall}-` : ''}${dayKey(filters.from)}-${dayKey(filters.to)}.${format}`;
+       res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+       if (format === 'pdf') {
+         res.setHeader('Content-Type', 'application/pdf');
+         writeReportPdf(report, res);
+       } else {
+         res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+         await writeReportXlsx(report, res);
+         res.end();
        }
-       if (mealHistory.meal === 'Off') return res.status(400).json({ error: 'Cannot serve meal for Off status' });
-       if ((mealType === 'Lunch' && mealHistory.lunchServed) || (mealType === 'Dinner' && mealHistory.dinnerServed)) return res.status(400).json({ error: `${mealType} already served` });
-       if (mealType === 'Lunch' && !['Lunch', 'Both'].includes(mealHistory.meal)) return res.status(400).json({ error: 'Lunch not enabled' });
-       if (mealType === 'Dinner' && !['Dinner', 'Both'].includes(mealHistory.meal)) return res.status(400).json({ error: 'Dinner not enabled' });
-       await MealHistory.updateOne({ _id: mealHistory._id }, { [mealType === 'Lunch' ? 'lunchServed' : 'dinnerServed']: true });
-       res.json({ message: `${mealType} served successfully` });
      } catch (error) {
-       console.error('Error serving meal:', error.message);
-       res.status(500).json({ error: 'Failed to serve meal' });
+       console.error('Error generating report:', error.message);
+       if (!res.headersSent) res.status(500).json({ error: 'Failed to generate report' });
+       else res.end();
      }
    });
 
-   app.post('/api/meal/extra', requireStaff, async (req, res) => {
-     const { date, mealType } = req.body;
+   app.get('/api/bills', requireLogin, async (req, res) => {
      try {
-       if (!['Lunch', 'Dinner', 'Both'].includes(mealType)) return res.status(400).json({ error: 'Invalid meal type' });
-       const selectedDate = new Date(date);
-       selectedDate.setHours(0, 0, 0, 0);
-       const updated = await MealHistory.updateMany({ date: selectedDate, meal: 'Off' }, {
-         meal: mealType,
-         lunchServed: false,
-         dinnerServed: false,
-         dailyMealCount: mealType === 'Both' ? 2 : 1,
-         isExtra: true,
-       });
-       if (updated.modifiedCount > 0) {
-         const userIds = (await MealHistory.find({ date: selectedDate, meal: mealType }).lean()).map(m => m.userId);
-         await User.updateMany({ _id: { $in: userIds } }, { $inc: { totalMealCount: mealType === 'Both' ? 2 : 1 } });
-       }
-       res.json({ message: `Extra ${mealType} enabled for ${updated.modifiedCount} users` });
+       const bills = await Bill.find({ userId: req.session.userId }).sort({ month: -1 }).lean();
+       res.json(bills);
      } catch (error) {
-       console.error('Error enabling extra meals:', error.message);
-       res.status(500).json({ error: 'Failed to enable extra meals' });
+       console.error('Error fetching bills:', error.message);
+       res.status(500).json({ error: 'Failed to fetch bills' });
      }
    });
 
-   app.post('/api/meal/extra-specific', requireStaff, async (req, res) => {
-     const { userId, mealType, date } = req.body;
+   app.get('/api/users/:id/transactions', requireAdmin, requirePermission('deposits'), async (req, res) => {
      try {
-       if (!['Lunch', 'Dinner'].includes(mealType)) return res.status(400).json({ error: 'Invalid meal type' });
-       const selectedDate = new Date(date);
-       selectedDate.setHours(0, 0, 0, 0);
-       let mealHistory = await MealHistory.findOne({ userId, date: selectedDate }).lean();
-       if (!mealHistory) {
-         const user = await User.findById(userId).lean();
-         if (!user) return res.status(404).json({ error: 'User not found' });
-         mealHistory = await new MealHistory({
-           userId,
-           date: selectedDate,
-           meal: 'Off',
-           additionalItems: [],
-           dailyMealCount: 0,
-           lunchServed: false,
-           dinnerServed: false,
-         }).save();
-       }
-       let newMeal, newMealCount;
-       if (mealHistory.meal === 'Off') {
-         newMeal = mealType;
-         newMealCount = 1;
-       } else if (mealHistory.meal === 'Lunch' && mealType === 'Dinner' || mealHistory.meal === 'Dinner' && mealType === 'Lunch') {
-         newMeal = 'Both';
-         newMealCount = 2;
-       } else {
-         return res.status(400).json({ error: `${mealType} already enabled` });
+       const transactions = await Transaction.find({ userId: req.params.id }).sort({ date: -1 }).populate('recordedBy', 'email').lean();
+       res.json(transactions);
+     } catch (error) {
+       console.error('Error fetching transactions:', error.message);
+       res.status(500).json({ error: 'Failed to fetch transactions' });
+     }
+   });
+
+   app.post('/api/users/:id/transactions', requireAdmin, requirePermission('deposits'), async (req, res) => {
+     const { id } = req.params;
+     const { type, amount, date, receiptNumber, note } = req.body;
+     try {
+       if (!['Deposit', 'Refund', 'Adjustment', 'Fine'].includes(type)) return res.status(400).json({ error: 'Invalid transaction type' });
+       if (!Number(amount)) return res.status(400).json({ error: 'Invalid amount' });
+       if (type !== 'Adjustment' && Number(amount) < 0) return res.status(400).json({ error: `${type} amount must be positive` });
+       const transactionDate = date ? new Date(date) : new Date();
+       if (isNaN(transactionDate)) return res.status(400).json({ error: 'Invalid date' });
+       if (receiptNumber && await Transaction.exists({ receiptNumber })) return res.status(400).json({ error: 'Receipt number already recorded' });
+       const user = await User.findById(id).lean();
+       if (!user) return res.status(404).json({ error: 'User not found' });
+       await openLedger(user);
+       await new Transaction({
+         userId: id,
+         type,
+         amount: roundMoney(Number(amount) * (TRANSACTION_SIGNS[type] || 1)),
+         date: transactionDate,
+         receiptNumber: receiptNumber || undefined,
+         note,
+         recordedBy: req.session.adminId,
+       }).save();
+       const deposit = await syncUserDeposit(id);
+       res.json({ message: `${type} recorded successfully`, deposit });
+     } catch (error) {
+       console.error('Error recording transaction:', error.message);
+       res.status(500).json({ error: 'Failed to record transaction' });
+     }
+   });
+
+   app.post('/api/transactions/:id/reverse', requireAdmin, requirePermission('deposits'), async (req, res) => {
+     const { note } = req.body;
+     try {
+       const transaction = await Transaction.findById(req.params.id).lean();
+       if (!transaction) return res.status(404).json({ error: 'Transaction not found' });
+       if (transaction.reversalOf) return res.status(400).json({ error: 'Cannot reverse a reversal' });
+       // Claiming reversedAt atomically stops two admins from reversing the same entry twice
+       const claimed = await Transaction.updateOne({ _id: transaction._id, reversedAt: { $exists: false } }, { reversedAt: new Date() });
+       if (!claimed.modifiedCount) return res.status(400).json({ error: 'Transaction already reversed' });
+       await new Transaction({
+         userId: transaction.userId,
+         type: transaction.type,
+         amount: -transaction.amount,
+         reversalOf: transaction._id,
+         recordedBy: req.session.adminId,
+         note: note || `Reversal of ${transaction.type.toLowerCase()}${transaction.receiptNumber ? ` #${transaction.receiptNumber}` : ''}`,
+       }).save();
+       const deposit = await syncUserDeposit(transaction.userId);
+       res.json({ message: 'Transaction reversed successfully', deposit });
+     } catch (error) {
+       console.error('Error reversing transaction:', error.message);
+       res.status(500).json({ error: 'Failed to reverse transaction' });
+     }
+   });
+
+   // Dry run by default; { fix: true } repairs the counts and returns what was changed
+   app.post('/api/meal-counts/reconcile', requireAdmin, requirePermission('students'), async (req, res) => {
+     const fix = req.body.fix === true;
+     try {
+       const { rows, users } = await mealBooking.reconcile({ fix });
+       const summary = `${rows.length} day row${rows.length === 1 ? '' : 's'} and ${users.length} total${users.length === 1 ? '' : 's'}`;
+       res.json({ message: rows.length || users.length ? `${fix ? 'Fixed' : 'Found'} ${summary} out of line` : 'All meal counts match meal history', rows, users, fixed: fix });
+     } catch (error) {
+       console.error('Error reconciling meal counts:', error.message);
+       res.status(500).json({ error: 'Failed to reconcile meal counts' });
+     }
+   });
+
+   app.post('/api/transactions/reconcile', requireAdmin, requirePermission('deposits'), async (req, res) => {
+     try {
+       const users = await User.find().lean();
+       const mismatches = [];
+       for (const user of users) {
+         await openLedger(user);
+         const deposit = await syncUserDeposit(user._id);
+         if (deposit !== user.deposit) mismatches.push({ userId: user._id, name: user.name, previous: user.deposit, deposit });
        }
-       const oldMealCount = mealHistory.meal === 'Both' ? 2 : ['Lunch', 'Dinner'].includes(mealHistory.meal) ? 1 : 0;
-       await MealHistory.updateOne({ _id: mealHistory._id }, {
-         meal: newMeal,
-         dailyMealCount: newMealCount,
-         lunchServed: ['Both', 'Lunch'].includes(newMeal) ? mealHistory.lunchServed : false,
-         dinnerServed: ['Both', 'Dinner'].includes(newMeal) ? mealHistory.dinnerServed : false,
-         isExtra: true,
+       res.json({ message: `Reconciled ${users.length} users, ${mismatches.length} corrected`, mismatches });
+     } catch (error) {
+       console.error('Error reconciling deposits:', error.message);
+       res.status(500).json({ error: 'Failed to reconcile deposits' });
+     }
+   });
+
+   // REST API v1, for the students' mobile app and staff devices. Clients log in for a Bearer access token and a
+   // refresh token (services/apiTokens.js); every response is JSON, errors as { error } with the same messages as the
+   // web routes, and dates are 'YYYY-MM-DD' meal days. docs/openapi.json describes these routes and
+   // test/openapi.test.js checks the two match.
+   const apiV1 = express.Router();
+
+   // The role and hall in an access token are only those at login; the account is read again so a disabled or
+   // changed account loses its rights at once rather than when the token expires
+   const requireApiAccount = kind => async (req, res, next) => {
+     const [scheme, token] = (req.get('authorization') || '').split(' ');
+     const claimed = scheme === 'Bearer' && token ? apiTokens.verifyAccess(token) : null;
+     if (!claimed) return res.status(401).json({ error: 'Invalid or expired access token' });
+     if (claimed.kind !== kind) return res.status(403).json({ error: `Forbidden: ${kind} account required` });
+     try {
+       const account = await apiAccountFor({ kind, accountId: claimed.id });
+       if (!account) return res.status(401).json({ error: 'Invalid or expired access token' });
+       req.apiAccount = { ...account, id: String(account.id) };
+       next();
+     } catch (error) {
+       console.error('Error checking API account:', error.message);
+       res.status(500).json({ error: 'Failed to check account' });
+     }
+   };
+
+   const requireApiStudent = requireApiAccount('student');
+   const requireApiStaff = requireApiAccount('staff');
+
+   const apiBooking = mealHistory => ({
+     date: dayKey(mealHistory.date),
+     meal: mealHistory.meal,
+     additionalItems: mealHistory.additionalItems || [],
+     additionalCharge: mealHistory.additionalCharge || 0,
+     dailyMealCount: mealHistory.dailyMealCount,
+     lunchServed: !!mealHistory.lunchServed,
+     dinnerServed: !!mealHistory.dinnerServed,
+     isExtra: !!mealHistory.isExtra,
+   });
+
+   const apiStudent = user => ({
+     id: user._id,
+     name: user.name,
+     email: user.email,
+     classRoll: user.classRoll,
+     batch: user.batch,
+     gender: user.gender,
+     hall: user.hall || null,
+     status: user.status || 'Active',
+     emailVerified: user.emailVerified !== false,
+     totalMealCount: user.totalMealCount,
+   });
+
+   // The account a refresh token belongs to, if it may still use the API
+   async function apiAccountFor({ kind, accountId }) {
+     if (kind === 'student') {
+       const user = await User.findById(accountId, 'status').lean();
+       return user && user.status !== 'Rejected' ? { kind, id: user._id } : null;
+     }
+     const staff = await Staff.findById(accountId, 'role hall active').lean();
+     return staff && staff.active !== false ? { kind, id: staff._id, role: staff.role || 'MessManager', hall: staff.hall || null } : null;
+   }
+
+   apiV1.get('/openapi.json', (req, res) => res.sendFile(path.join(__dirname, 'docs', 'openapi.json')));
+
+   apiV1.post('/auth/login', async (req, res) => {
+     const { email, password } = req.body;
+     try {
+       if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+       const user = await User.findOne({ email: String(email) }).lean();
+       if (!user || !(await bcrypt.compare(String(password), user.password))) return res.status(401).json({ error: 'Invalid credentials' });
+       if (user.status === 'Rejected') return res.status(403).json({ error: 'Your signup was rejected. Please contact the mess office.' });
+       res.json({ ...(await apiTokens.issue({ kind: 'student', id: user._id })), student: apiStudent(user) });
+     } catch (error) {
+       console.error('Error during API login:', error.message);
+       res.status(500).json({ error: 'Error logging in' });
+     }
+   });
+
+   apiV1.post('/auth/staff/login', async (req, res) => {
+     const { email, password } = req.body;
+     try {
+       if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+       const staff = await Staff.findOne({ email: String(email) }).lean();
+       if (!staff || !(await bcrypt.compare(String(password), staff.password))) return res.status(401).json({ error: 'Invalid credentials' });
+       if (staff.active === false) return res.status(403).json({ error: 'Account disabled' });
+       const role = staff.role || 'MessManager';
+       const hall = staff.hall || null;
+       res.json({
+         ...(await apiTokens.issue({ kind: 'staff', id: staff._id, role, hall })),
+         staff: { id: staff._id, name: staff.name, email: staff.email, role, hall, permissions: ROLE_PERMISSIONS[role] },
        });
-       await User.updateOne({ _id: userId }, { $inc: { totalMealCount: newMealCount - oldMealCount } });
-       res.json({ message: `Extra ${mealType} enabled` });
      } catch (error) {
-       console.error('Error enabling specific extra meal:', error.message);
-       res.status(500).json({ error: 'Failed to enable extra meal' });
+       console.error('Error during API staff login:', error.message);
+       res.status(500).json({ error: 'Server error' });
      }
    });
 
-   app.get('/api/meal/all-users', requireStaff, async (req, res) => {
-     const { date, batch, gender } = req.query;
+   // Trades a refresh token for a new pair; the old refresh token stops working
+   apiV1.post('/auth/refresh', async (req, res) => {
      try {
-       const selectedDate = new Date(date);
-       selectedDate.setHours(0, 0, 0, 0);
-       let query = {};
-       if (batch && batch !== 'all') query.batch = batch;
-       if (gender && gender !== 'all') query.gender = gender;
-       const users = await User.find(query).lean();
-       const mealHistories = await MealHistory.find({ date: selectedDate }).lean();
-       const offUsers = users.map(user => {
-         const mealHistory = mealHistories.find(mh => mh.userId.toString() === user._id.toString()) || { meal: 'Off', lunchServed: false, dinnerServed: false };
-         const offMeals = [];
-         if (mealHistory.meal === 'Off') offMeals.push('Lunch', 'Dinner');
-         else if (mealHistory.meal === 'Lunch' && !mealHistory.lunchServed) offMeals.push('Dinner');
-         else if (mealHistory.meal === 'Dinner' && !mealHistory.dinnerServed) offMeals.push('Lunch');
-         else if (mealHistory.meal === 'Both' && !mealHistory.lunchServed) offMeals.push('Lunch');
-         else if (mealHistory.meal === 'Both' && !mealHistory.dinnerServed) offMeals.push('Dinner');
-         return offMeals.length ? { _id: user._id, name: user.name, classRoll: user.classRoll, offMeals } : null;
-       }).filter(Boolean);
-       res.json(offUsers);
+       const refreshToken = await apiTokens.consume(req.body.refreshToken);
+       const account = refreshToken && await apiAccountFor(refreshToken);
+       if (!account) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+       res.json(await apiTokens.issue(account, refreshToken.family));
      } catch (error) {
-       console.error('Error fetching users:', error.message);
-       res.status(500).json({ error: 'Failed to fetch users' });
+       console.error('Error refreshing API token:', error.message);
+       res.status(500).json({ error: 'Failed to refresh token' });
      }
    });
 
-   app.get('/api/meal/total-count', requireStaff, async (req, res) => {
-     const { date } = req.query;
+   apiV1.post('/auth/logout', async (req, res) => {
      try {
-       const selectedDate = new Date(date);
-       selectedDate.setHours(0, 0, 0, 0);
-       const mealHistories = await MealHistory.find({ date: selectedDate }).lean();
-       const totalCount = mealHistories.reduce((sum, mh) => sum + mh.dailyMealCount, 0);
-       res.json({ totalCount });
+       await apiTokens.revoke(req.body.refreshToken);
+       res.status(204).end();
      } catch (error) {
-       console.error('Error fetching total meal count:', error.message);
-       res.status(500).json({ error: 'Failed to fetch total meal count' });
+       console.error('Error during API logout:', error.message);
+       res.status(500).json({ error: 'Failed to log out' });
      }
    });
 
-   app.post('/api/meal/staff-update', requireStaff, async (req, res) => {
-     const { userId, meal, date } = req.body;
+   apiV1.get('/me', requireApiStudent, async (req, res) => {
      try {
-       if (!['Lunch', 'Dinner', 'Both', 'Off'].includes(meal)) return res.status(400).json({ error: 'Invalid meal type' });
-       if (!date || !userId) return res.status(400).json({ error: 'Date and userId required' });
-       const selectedDate = new Date(date);
-       selectedDate.setHours(0, 0, 0, 0);
-       const user = await User.findById(userId).lean();
+       const user = await User.findById(req.apiAccount.id).lean();
        if (!user) return res.status(401).json({ error: 'User not found' });
-       let mealHistory = await MealHistory.findOne({ userId, date: selectedDate }).lean();
-       const newMealCount = meal === 'Both' ? 2 : ['Lunch', 'Dinner'].includes(meal) ? 1 : 0;
-       if (mealHistory) {
-         const oldMealCount = mealHistory.meal === 'Both' ? 2 : ['Lunch', 'Dinner'].includes(mealHistory.meal) ? 1 : 0;
-         await MealHistory.updateOne({ _id: mealHistory._id }, {
-           meal,
-           dailyMealCount: newMealCount,
-           lunchServed: ['Both', 'Lunch'].includes(meal) ? mealHistory.lunchServed : false,
-           dinnerServed: ['Both', 'Dinner'].includes(meal) ? mealHistory.dinnerServed : false,
-         });
-         await User.updateOne({ _id: userId }, { $inc: { totalMealCount: newMealCount - oldMealCount } });
-       } else {
-         await new MealHistory({
-           userId,
-           date: selectedDate,
-           meal,
-           additionalItems: [],
-           dailyMealCount: newMealCount,
-           lunchServed: false,
-           dinnerServed: false,
-         }).save();
-         await User.updateOne({ _id: userId }, { $inc: { totalMealCount: newMealCount } });
-       }
-       res.json({ message: 'Meal updated successfully' });
+       res.json(apiStudent(user));
      } catch (error) {
-       console.error('Error updating meal:', error.message);
+       console.error('Error fetching API profile:', error.message);
+       res.status(500).json({ error: 'Failed to fetch profile' });
+     }
+   });
+
+   // Booked days from `from` (default today) to `to` (default a week later)
+   apiV1.get('/bookings', requireApiStudent, async (req, res) => {
+     const { from, to } = req.query;
+     try {
+       const fromDate = from ? parseDay(from) : currentDay();
+       const toDate = to ? parseDay(to) : addDays(fromDate || currentDay(), 6);
+       if (!fromDate || !toDate || fromDate > toDate) return res.status(400).json({ error: 'Invalid date range' });
+       if ((toDate - fromDate) / DAY_MS >= MAX_RANGE_DAYS) return res.status(400).json({ error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+       const mealHistories = await MealHistory.find({ userId: req.apiAccount.id, date: { $gte: fromDate, $lte: toDate } }).sort({ date: 1 }).lean();
+       res.json({ from: dayKey(fromDate), to: dayKey(toDate), bookings: mealHistories.map(apiBooking) });
+     } catch (error) {
+       console.error('Error fetching API bookings:', error.message);
+       res.status(500).json({ error: 'Failed to fetch bookings' });
+     }
+   });
+
+   // A day not booked yet shows what the nightly update would give it, marked projected
+   apiV1.get('/bookings/:date', requireApiStudent, async (req, res) => {
+     try {
+       const selectedDate = parseDay(req.params.date);
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       const mealHistory = await MealHistory.findOne({ userId: req.apiAccount.id, date: selectedDate }).lean();
+       res.json(mealHistory
+         ? { ...apiBooking(mealHistory), projected: false }
+         : { ...apiBooking(await defaultMealHistory(req.apiAccount.id, selectedDate)), projected: true });
+     } catch (error) {
+       console.error('Error fetching API booking:', error.message);
+       res.status(500).json({ error: 'Failed to fetch booking' });
+     }
+   });
+
+   apiV1.put('/bookings/:date', requireApiStudent, requireCanBook, async (req, res) => {
+     const { meal, additionalItems } = req.body;
+     try {
+       const { status, error, message, isLateRequest } = await updateMealDay(req.apiAccount.id, { meal, additionalItems, date: req.params.date });
+       if (error) return res.status(status).json({ error });
+       if (isLateRequest) return res.status(status).json({ message, isLateRequest });
+       const mealHistory = await MealHistory.findOne({ userId: req.apiAccount.id, date: parseDay(req.params.date) }).lean();
+       res.json({ message, booking: apiBooking(mealHistory) });
+     } catch (error) {
+       console.error('Error updating API booking:', error.message);
        res.status(500).json({ error: 'Failed to update meal' });
      }
    });
 
-   app.post('/api/users/:id/update', requireAdmin, async (req, res) => {
-     const { id } = req.params;
-     const { deposit, totalMealCount } = req.body;
+   apiV1.post('/bookings/range/preview', requireApiStudent, async (req, res) => {
      try {
-       const updates = {};
-       if (deposit !== undefined) updates.deposit = Number(deposit);
-       if (totalMealCount !== undefined) updates.totalMealCount = Number(totalMealCount);
-       if (!Object.keys(updates).length) return res.status(400).json({ error: 'No updates provided' });
-       await User.updateOne({ _id: id }, { $set: updates });
-       res.json({ message: 'User updated successfully' });
+       const { error, range } = parseMealRange(req.body);
+       if (error) return res.status(400).json({ error });
+       const user = await User.findById(req.apiAccount.id).lean();
+       if (!user) return res.status(401).json({ error: 'User not found' });
+       res.json(summarizeMealRange(await planMealRange({ userId: user._id, ...range }), user.totalMealCount));
      } catch (error) {
-       console.error('Error updating user:', error.message);
-       res.status(500).json({ error: 'Failed to update user' });
+       console.error('Error previewing API meal range:', error.message);
+       res.status(500).json({ error: 'Failed to preview meal range' });
      }
    });
 
-   app.get('/api/users', requireAdmin, async (req, res) => {
+   apiV1.post('/bookings/range', requireApiStudent, requireCanBook, async (req, res) => {
      try {
-       const users = await User.find().sort({ batch: 1, classRoll: 1 }).lean();
-       res.json(users);
+       const { error, range } = parseMealRange(req.body);
+       if (error) return res.status(400).json({ error });
+       if (!(await User.exists({ _id: req.apiAccount.id }))) return res.status(401).json({ error: 'User not found' });
+       const result = await bookMealRange(req.apiAccount.id, range);
+       if (result.error) return res.status(result.status).json({ error: result.error });
+       res.json(result);
      } catch (error) {
-       console.error('Error fetching users:', error.message);
-       res.status(500).json({ error: 'Failed to fetch users' });
+       console.error('Error booking API meal range:', error.message);
+       res.status(500).json({ error: 'Failed to book meal range' });
      }
    });
 
-   app.get('/export-excel', requireLogin, async (req, res) => {
+   const API_PAGE_SIZE = 30;
+   const MAX_API_PAGE_SIZE = 100;
+
+   // Every recorded day, newest first, a page at a time
+   apiV1.get('/history', requireApiStudent, async (req, res) => {
+     const page = req.query.page === undefined ? 1 : Number(req.query.page);
+     const limit = req.query.limit === undefined ? API_PAGE_SIZE : Number(req.query.limit);
      try {
-       const user = await User.findById(req.session.userId).lean();
-       if (!user) return res.status(404).send('User not found');
-       const users = await User.find({ batch: user.batch, gender: user.gender }).sort({ classRoll: 1 }).lean();
-       const mealHistories = await MealHistory.find({ userId: { $in: users.map(u => u._id) } }).lean();
-       const workbook = new ExcelJS.Workbook();
-       const worksheet = workbook.addWorksheet(`MUL-B${user.batch}-${user.gender.charAt(0)}`);
-       worksheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 7 }];
-       worksheet.properties.defaultRowHeight = 20;
+       if (!Number.isInteger(page) || page < 1) return res.status(400).json({ error: 'Invalid page' });
+       if (!Number.isInteger(limit) || limit < 1 || limit > MAX_API_PAGE_SIZE) return res.status(400).json({ error: `Limit must be between 1 and ${MAX_API_PAGE_SIZE}` });
+       const filter = { userId: req.apiAccount.id };
+       const total = await MealHistory.countDocuments(filter);
+       const mealHistories = await MealHistory.find(filter).sort({ date: -1 }).skip((page - 1) * limit).limit(limit).lean();
+       res.json({ page, limit, total, items: mealHistories.map(apiBooking) });
+     } catch (error) {
+       console.error('Error fetching API meal history:', error.message);
+       res.status(500).json({ error: 'Failed to fetch meal history' });
+     }
+   });
 
-       worksheet.mergeCells('A1:G1');
-       worksheet.getCell('A1').value = 'Satkhira Medical College';
-       worksheet.getCell('A1').font = { name: 'Arial', size: 18, bold: true, color: { argb: 'FFFFFFFF' } };
-       worksheet.getCell('A1').fill = { type: 'gradient', gradient: 'linear', stops: [{ position: 0, color: { argb: 'FF2E8B57' } }, { position: 1, color: { argb: 'FF3CB371' } }] };
-       worksheet.getCell('A1').alignment = { vertical: 'middle', horizontal: 'center' };
-       worksheet.getRow(1).height = 50;
+   // Deposits to date, closed bills, and the running bill for the current month at the month's rate so far
+   apiV1.get('/balance', requireApiStudent, async (req, res) => {
+     try {
+       const user = await User.findById(req.apiAccount.id).lean();
+       if (!user) return res.status(401).json({ error: 'User not found' });
+       const transactions = await Transaction.find({ userId: user._id }).sort({ date: -1 }).select('-recordedBy').lean();
+       const bills = await Bill.find({ userId: user._id }).sort({ month: -1 }).lean();
+       const { bills: monthBills, isClosed } = await getMonthlyBilling(monthKey(currentDay()));
+       const currentMonth = monthBills.find(bill => bill.userId.toString() === user._id.toString()) || null;
+       res.json({ deposit: user.deposit, currentMonth: currentMonth && { ...currentMonth, isClosed }, bills, transactions });
+     } catch (error) {
+       console.error('Error fetching API balance:', error.message);
+       res.status(500).json({ error: 'Failed to fetch balance' });
+     }
+   });
 
-       worksheet.mergeCells('A2:G2');
-       worksheet.getCell('A2').value = 'Meal Update List';
-       worksheet.getCell('A2').font = { name: 'Arial', size: 14, bold: true };
-       worksheet.getCell('A2').alignment = { vertical: 'middle', horizontal: 'center' };
-       worksheet.getRow(2).height = 30;
+   apiV1.get('/check-in-token', requireApiStudent, (req, res) => {
+     const today = currentDay();
+     res.json({ token: createCheckInToken(req.apiAccount.id, today), date: dayKey(today), expiresAt: zonedDateTime(addDays(today, 1), '00:00') });
+   });
 
-       worksheet.getCell('A3').value = `Batch: ${user.batch}`;
-       worksheet.getCell('A4').value = `Gender: ${user.gender}`;
-       worksheet.getCell('A5').value = `Date: ${new Date().toLocaleDateString('en-GB')}`;
-       worksheet.getCell('A6').value = `Generated: ${new Date().toLocaleString('en-GB', { timeZone: 'Asia/Dhaka' })}`;
-       ['A3', 'A4', 'A5', 'A6'].forEach(cell => {
-         worksheet.getCell(cell).font = { name: 'Arial', size: 12, bold: true };
-         worksheet.getCell(cell).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6E6FA' } };
-       });
+   apiV1.get('/notifications', requireApiStudent, async (req, res) => {
+     try {
+       const user = await User.findById(req.apiAccount.id).lean();
+       if (!user) return res.status(401).json({ error: 'User not found' });
+       res.json(await notificationSettings(user));
+     } catch (error) {
+       console.error('Error fetching API notification settings:', error.message);
+       res.status(500).json({ error: 'Failed to fetch notification settings' });
+     }
+   });
 
-       worksheet.getRow(7).values = ['Class Roll', 'Name', 'Meal', 'Additional Items', 'Lunch Served', 'Dinner Served', 'Total Meal Count'];
-       worksheet.getRow(7).font = { name: 'Arial', size: 11, bold: true, color: { argb: 'FFFFFFFF' } };
-       worksheet.getRow(7).fill = { type: 'gradient', gradient: 'linear', stops: [{ position: 0, color: { argb: 'FF4682B4' } }, { position: 1, color: { argb: 'FF6495ED' } }] };
-       worksheet.getRow(7).alignment = { vertical: 'middle', horizontal: 'center' };
-       worksheet.getRow(7).height = 25;
-       worksheet.columns = [
-         { key: 'classRoll', width: 12 },
-         { key: 'name', width: 30 },
-         { key: 'meal', width: 15 },
-         { key: 'additionalItems', width: 25 },
-         { key: 'lunchServed', width: 15 },
-         { key: 'dinnerServed', width: 15 },
-         { key: 'totalMealCount', width: 18 },
-       ];
+   apiV1.put('/notifications', requireApiStudent, async (req, res) => {
+     try {
+       const { status, ...result } = await updateNotificationSettings(req.apiAccount.id, req.body);
+       res.status(status).json(result);
+     } catch (error) {
+       console.error('Error saving API notification settings:', error.message);
+       res.status(500).json({ error: 'Failed to save notification settings' });
+     }
+   });
 
-       let rowIndex = 8;
-       for (const user of users) {
-         const userMeals = mealHistories.filter(mh => mh.userId.toString() === user._id.toString());
-         const latestMeal = userMeals.sort((a, b) => new Date(b.date) - new Date(a.date))[0];
-         const row = worksheet.addRow({
-           classRoll: user.classRoll,
-           name: user.name,
-           meal: latestMeal?.meal || 'Off',
-           additionalItems: latestMeal?.additionalItems?.join(', ') || '-',
-           lunchServed: latestMeal?.lunchServed ? 'Yes' : 'No',
-           dinnerServed: latestMeal?.dinnerServed ? 'Yes' : 'No',
-           totalMealCount: user.totalMealCount,
-         });
-         row.font = { name: 'Arial', size: 10 };
-         row.alignment = { vertical: 'middle', horizontal: 'left' };
-         row.eachCell(cell => cell.border = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } });
-         rowIndex++;
-       }
+   // The serving board for a date, with the active students it refers to
+   apiV1.get('/serving/:date', requireApiStaff, requirePermission('serving'), async (req, res) => {
+     try {
+       const selectedDate = parseDay(req.params.date);
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       const hall = staffHallOf(req);
+       const students = await User.find({ status: 'Active', ...(hall && { hall }) }, 'name classRoll batch gender hall').sort({ batch: 1, classRoll: 1 }).lean();
+       res.json({ ...(await loadServingBoard(selectedDate, { hall })), students });
+     } catch (error) {
+       console.error('Error loading API serving board:', error.message);
+       res.status(500).json({ error: 'Failed to load serving board' });
+     }
+   });
 
-       const fileName = `Meal_Update_B${user.batch}_${user.gender}_${new Date().toISOString().split('T')[0]}.xlsx`;
-       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-       res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-       await workbook.xlsx.write(res);
-       res.end();
+   apiV1.post('/serving/:date/serve', requireApiStaff, requirePermission('serving'), async (req, res) => {
+     const { userId, mealType, actionId } = req.body;
+     try {
+       if (!['Lunch', 'Dinner'].includes(mealType)) return res.status(400).json({ error: 'Invalid meal type' });
+       if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid user' });
+       const selectedDate = parseDay(req.params.date);
+       if (!selectedDate) return res.status(400).json({ error: 'Invalid date' });
+       if (actionId !== undefined && !isActionId(actionId)) return res.status(400).json({ error: 'Invalid action id' });
+       if (await outsideHall(userId, staffHallOf(req))) return res.status(403).json({ error: OTHER_HALL_ERROR });
+       const result = await serveMeal(userId, mealType, selectedDate);
+       if (result.error) return res.status(result.status).json({ error: result.error });
+       await logServingEvent(req, { date: selectedDate, action: 'Serve', mealType, userId, clientActionId: actionId });
+       res.json({ message: result.message });
      } catch (error) {
-       console.error('Error exporting Excel:', error.message);
-       res.status(500).send('Error exporting Excel');
+       console.error('Error serving meal through API:', error.message);
+       res.status(500).json({ error: 'Failed to serve meal' });
+     }
+   });
+
+   apiV1.post('/serving/:date/unserve', requireApiStaff, requirePermission('serving'), async (req, res) => {
+     const { userId, mealType } = req.body;
+     try {
+       if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid user' });
+       const { status, ...result } = await unserveMeal(req, userId, mealType, req.params.date);
+       res.status(status).json(result);
+     } catch (error) {
+       console.error('Error unserving meal through API:', error.message);
+       res.status(500).json({ error: 'Failed to unserve meal' });
+     }
+   });
+
+   apiV1.post('/serving/scan', requireApiStaff, requirePermission('serving'), async (req, res) => {
+     try {
+       const { status, ...result } = await serveCheckIn(req, req.body.token, req.body.mealType);
+       res.status(status).json(result);
+     } catch (error) {
+       console.error('Error scanning check-in through API:', error.message);
+       res.status(500).json({ error: 'Failed to scan check-in' });
+     }
+   });
+
+   apiV1.post('/serving/sync', requireApiStaff, requirePermission('serving'), async (req, res) => {
+     try {
+       const { status, ...result } = await syncServeActions(req, req.body.actions);
+       res.status(status).json(result);
+     } catch (error) {
+       console.error('Error syncing offline serves through API:', error.message);
+       res.status(500).json({ error: 'Failed to sync offline serves' });
      }
    });
 
+   apiV1.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
+   app.use('/api/v1', apiV1);
+
+   // Body parsing happens before the router, so its errors are answered here
+   app.use('/api/v1', (error, req, res, next) => {
+     if (error.type === 'entity.parse.failed') return res.status(400).json({ error: 'Invalid JSON body' });
+     console.error('Error in API v1:', error.message);
+     res.status(error.status || 500).json({ error: 'Server error' });
+   });
+
+   // The browser also drops its cached responses, including the staff serving page's offline roster; the login page
+   // it lands on deletes that cache too where the header is not supported
    app.get('/logout', (req, res) => {
+     res.set('Clear-Site-Data', '"cache"');
      req.session.destroy(err => {
        if (err) console.error('Error destroying session:', err.message);
        res.redirect('/login');
      });
    });
 
-   // Start Server
-   const server = app.listen(PORT, '0.0.0.0', () => {
-     console.log(`Server running on port ${PORT} at ${new Date().toLocaleString('en-US', { timeZone: 'Asia/Dhaka' })}`);
-   });
+   module.exports = {
+     app,
+     apiV1,
+     connectDB,
+     scheduleJobs,
+     runDailyMealUpdate,
+     runMealCountReconcile,
+     runBookingReminders,
+     runCutoffReminders,
+     runBalanceReminders,
+     migrateMealDates,
+   };
 
-   // Graceful Shutdown
-   process.on('SIGTERM', () => {
-     console.log('SIGTERM received. Shutting down...');
-     server.close(() => {
-       mongoose.connection.close(false, () => {
-         console.log('MongoDB connection closed');
-         process.exit(0);
+   // Start Server (only when run directly; the tests import the app instead)
+   if (require.main === module) {
+     if (!APP_URL) {
+       console.error('APP_URL must be set to the public address used in emailed links');
+       process.exit(1);
+     }
+     connectDB().then(() => {
+       scheduleJobs();
+       const server = app.listen(PORT, '0.0.0.0', () => {
+         console.log(`Server running on port ${PORT} at ${new Date().toLocaleString('en-US', { timeZone: TIMEZONE })}`);
+       });
+
+       // Graceful Shutdown
+       process.on('SIGTERM', () => {
+         console.log('SIGTERM received. Shutting down...');
+         server.close(() => {
+           mongoose.connection.close(false).then(() => {
+             console.log('MongoDB connection closed');
+             process.exit(0);
+           });
+         });
        });
+     }).catch(error => {
+       console.error('MongoDB connection error:', error.message);
+       process.exit(1);
      });
-   });
\ No newline at end of file
+   }
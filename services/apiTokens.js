@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Tokens for REST API clients. An access token is a short-lived JWT naming the account. A refresh token is a random
+// string stored only as a hash; refreshing uses it up and issues a new one in the same family. A used refresh token
+// presented again means it was copied, so the whole family is revoked and the client must log in again.
+// An account is { kind: 'student' | 'staff', id, role, hall } (role and dining hall for staff only).
+
+const ACCESS_TOKEN_SECONDS = 15 * 60;
+const REFRESH_TOKEN_MS = 30 * 24 * 60 * 60 * 1000;
+// Apps that refresh twice at once present the same token twice; that is not treated as theft
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token || '')).digest('hex');
+
+function createApiTokens({ RefreshToken, secret }) {
+  async function issue(account, family = crypto.randomUUID()) {
+    const accessToken = jwt.sign({ kind: account.kind, role: account.role, hall: account.hall }, secret, {
+      subject: String(account.id),
+      expiresIn: ACCESS_TOKEN_SECONDS,
+    });
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    await RefreshToken.create({
+      accountId: account.id,
+      kind: account.kind,
+      family,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_MS),
+    });
+    return { tokenType: 'Bearer', accessToken, expiresIn: ACCESS_TOKEN_SECONDS, refreshToken };
+  }
+
+  // The account an access token was issued to, or null if it is forged or expired
+  function verifyAccess(token) {
+    try {
+      const payload = jwt.verify(token, secret, { algorithms: ['HS256'] });
+      return { kind: payload.kind, id: payload.sub, role: payload.role, hall: payload.hall };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const revokeFamily = family => RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+
+  // Uses up a refresh token and returns its record, or null if it is unknown, expired, used or revoked
+  async function consume(token) {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { usedAt: now },
+      { new: true },
+    ).lean();
+    if (claimed) return claimed;
+    const reused = await RefreshToken.findOne({ tokenHash, usedAt: { $ne: null } }).lean();
+    if (reused && now - reused.usedAt > REUSE_GRACE_MS) await revokeFamily(reused.family);
+    return null;
+  }
+
+  // Logs a client out: revokes the refresh token and every token refreshed from the same login
+  async function revoke(token) {
+    const found = await RefreshToken.findOne({ tokenHash: hashToken(token) }).lean();
+    if (found) await revokeFamily(found.family);
+    return !!found;
+  }
+
+  // Logs an account out everywhere, e.g. after a password reset
+  const revokeAccount = accountId => RefreshToken.updateMany({ accountId, revokedAt: null }, { revokedAt: new Date() });
+
+  return { issue, verifyAccess, consume, revoke, revokeAccount };
+}
+
+module.exports = { createApiTokens, ACCESS_TOKEN_SECONDS };
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// Meal-count accounting. Every change to what a student has booked goes through bookDay so that, inside one
+// MongoDB transaction, two invariants hold:
+//   MealHistory.dailyMealCount === countMeals(MealHistory.meal)
+//   User.totalMealCount        === sum of the student's MealHistory.dailyMealCount
+// Served flags only change through the serving routes and never affect counts.
+// reconcile() checks both invariants against the stored data and can repair them.
+// onChange, when given, is called with the rows bookDay wrote once their transaction has committed.
+
+const countMeals = meal => meal === 'Both' ? 2 : ['Lunch', 'Dinner'].includes(meal) ? 1 : 0;
+
+// The same count as a MongoDB expression, for aggregations
+const COUNT_MEALS_EXPR = {
+  $switch: {
+    branches: [
+      { case: { $eq: ['$meal', 'Both'] }, then: 2 },
+      { case: { $in: ['$meal', ['Lunch', 'Dinner']] }, then: 1 },
+    ],
+    default: 0,
+  },
+};
+
+function createMealBooking({ MealHistory, User, onChange = () => {} }) {
+  const written = new WeakMap(); // session -> rows written in its current transaction attempt
+
+  // Runs work(session) in a transaction, or inside the caller's transaction when a session is passed
+  async function transaction(work, session = null) {
+    if (session) return work(session);
+    const own = await MealHistory.startSession();
+    try {
+      let result;
+      await own.withTransaction(async () => {
+        written.set(own, []);
+        result = await work(own);
+      });
+      const rows = written.get(own);
+      if (rows.length) onChange(rows);
+      return result;
+    } finally {
+      own.endSession();
+    }
+  }
+
+  // Sets one student's meal for one day, creating the row if needed, and moves totalMealCount by the difference.
+  // `changes` may set any other MealHistory fields; served flags and items are cleared for meals switched off.
+  // With onlyIfMissing an existing row is returned untouched.
+  function bookDay({ userId, date, meal, changes = {}, onlyIfMissing = false, session = null }) {
+    return transaction(async s => {
+      const before = await MealHistory.findOne({ userId, date }).session(s).lean();
+      if (before && onlyIfMissing) return { before, after: before, change: 0 };
+      const newMeal = meal || before?.meal || 'Off';
+      const update = { ...changes, meal: newMeal, dailyMealCount: countMeals(newMeal) };
+      if (!['Lunch', 'Both'].includes(newMeal)) update.lunchServed = false;
+      if (!['Dinner', 'Both'].includes(newMeal)) update.dinnerServed = false;
+      if (newMeal === 'Off') Object.assign(update, { additionalItems: [], additionalCharge: 0 });
+      let after;
+      if (before) {
+        after = await MealHistory.findOneAndUpdate({ _id: before._id }, update, { new: true, session: s }).lean();
+      } else {
+        const [created] = await MealHistory.create([{
+          additionalItems: [],
+          lunchServed: false,
+          dinnerServed: false,
+          ...update,
+          userId,
+          date,
+        }], { session: s });
+        after = created.toObject();
+      }
+      const change = after.dailyMealCount - (before?.dailyMealCount || 0);
+      if (change) await User.updateOne({ _id: userId }, { $inc: { totalMealCount: change } }, { session: s });
+      written.get(s)?.push(after);
+      return { before, after, change };
+    }, session);
+  }
+
+  // Returns the student's row for the day, creating it from buildRow() (and counting its meals) when missing
+  async function ensureDay(userId, date, buildRow) {
+    const existing = await MealHistory.findOne({ userId, date }).lean();
+    if (existing) return existing;
+    const { meal, ...row } = await buildRow();
+    try {
+      return (await bookDay({ userId, date, meal, changes: row, onlyIfMissing: true })).after;
+    } catch (error) {
+      // Another request created the row first
+      if (error.code === 11000) return MealHistory.findOne({ userId, date }).lean();
+      throw error;
+    }
+  }
+
+  // Compares stored counts with what MealHistory implies. Returns the differences, and repairs them when fix is set.
+  async function reconcile({ fix = false } = {}) {
+    const rows = await MealHistory.aggregate([
+      { $project: { userId: 1, date: 1, meal: 1, recorded: { $ifNull: ['$dailyMealCount', 0] }, expected: COUNT_MEALS_EXPR } },
+      { $match: { $expr: { $ne: ['$recorded', '$expected'] } } },
+      { $sort: { date: 1 } },
+    ]);
+    const totals = await MealHistory.aggregate([
+      { $group: { _id: '$userId', expected: { $sum: COUNT_MEALS_EXPR } } },
+    ]);
+    const expectedTotals = new Map(totals.map(total => [total._id.toString(), total.expected]));
+    const users = (await User.find({}, { name: 1, classRoll: 1, batch: 1, totalMealCount: 1 }).lean())
+      .map(user => ({
+        userId: user._id,
+        name: user.name,
+        classRoll: user.classRoll,
+        batch: user.batch,
+        recorded: user.totalMealCount || 0,
+        expected: expectedTotals.get(user._id.toString()) || 0,
+      }))
+      .filter(user => user.recorded !== user.expected);
+
+    if (fix) {
+      const affected = new Set([...rows.map(row => row.userId.toString()), ...users.map(user => user.userId.toString())]);
+      for (const userId of affected) {
+        await transaction(async session => {
+          for (const meal of ['Lunch', 'Dinner', 'Both', 'Off']) {
+            await MealHistory.updateMany({ userId, meal, dailyMealCount: { $ne: countMeals(meal) } }, { dailyMealCount: countMeals(meal) }, { session });
+          }
+          const [total] = await MealHistory.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+            { $group: { _id: null, mealCount: { $sum: '$dailyMealCount' } } },
+          ]).session(session);
+          await User.updateOne({ _id: userId }, { totalMealCount: total?.mealCount || 0 }, { session });
+        });
+      }
+    }
+
+    return {
+      rows: rows.map(({ _id, userId, date, meal, recorded, expected }) => ({ mealHistoryId: _id, userId, date, meal, recorded, expected })),
+      users,
+      fixed: fix,
+    };
+  }
+
+  return { transaction, bookDay, ensureDay, reconcile };
+}
+
+module.exports = { createMealBooking, countMeals };
@@ -0,0 +1,103 @@
+// Meal dates. A meal date is a calendar day in the mess's timezone (MESS_TIMEZONE, default Asia/Dhaka) and is
+// stored as the UTC midnight of that day, so it indexes and compares the same whatever timezone the server runs in.
+// Day arithmetic uses the UTC getters; only "what day is it now" and wall-clock deadlines need the timezone.
+
+const TIMEZONE = process.env.MESS_TIMEZONE || 'Asia/Dhaka';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const partsFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+// The mess's wall clock at an instant
+const zonedParts = instant => Object.fromEntries(partsFormat.formatToParts(instant).map(part => [part.type, Number(part.value)]));
+
+// How far the mess's wall clock is ahead of UTC at an instant, in ms
+function zoneOffset(instant) {
+  const { year, month, day, hour, minute, second } = zonedParts(instant);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+const dayFromParts = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+// The meal date an instant falls on in the mess's timezone
+function dayOf(instant) {
+  const { year, month, day } = zonedParts(instant);
+  return dayFromParts(year, month, day);
+}
+
+const currentDay = () => dayOf(new Date());
+
+// Parses a 'YYYY-MM-DD' day, or takes the mess-local day of a full timestamp; null when invalid
+function parseDay(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : dayOf(value);
+  const match = DAY_PATTERN.exec(value || '');
+  if (match) {
+    const date = dayFromParts(Number(match[1]), Number(match[2]), Number(match[3]));
+    return dayKey(date) === value ? date : null;
+  }
+  const instant = new Date(value);
+  return value && !Number.isNaN(instant.getTime()) ? dayOf(instant) : null;
+}
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const dayKey = date => date.toISOString().slice(0, 10);
+
+const monthKey = date => date.toISOString().slice(0, 7);
+
+// 0 = Sunday, as Date#getDay
+const weekday = date => date.getUTCDay();
+
+const startOfMonth = date => dayFromParts(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+
+const endOfMonth = date => dayFromParts(date.getUTCFullYear(), date.getUTCMonth() + 2, 0);
+
+// [start, end) of a 'YYYY-MM' month
+function monthRange(month) {
+  const [year, mon] = month.split('-').map(Number);
+  return { start: dayFromParts(year, mon, 1), end: dayFromParts(year, mon + 1, 1) };
+}
+
+// The instant the mess's clock reads `time` ('HH:MM') on a meal date
+function zonedDateTime(date, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = date.getTime() + (hours * 60 + minutes) * 60 * 1000;
+  const guess = wallClock - zoneOffset(new Date(wallClock));
+  return new Date(wallClock - zoneOffset(new Date(guess)));
+}
+
+// A meal date has passed once the mess's clock is on a later day
+const isPastDay = (date, now = new Date()) => date < dayOf(now);
+
+const isNormalizedDay = date => date.getTime() % DAY_MS === 0;
+
+// Maps a stored date onto the model. Dates written at server-local midnight by older code (18:00 UTC the evening
+// before, for Asia/Dhaka) become the UTC midnight of the mess day they stood for.
+const normalizeStoredDay = date => isNormalizedDay(date) ? date : dayOf(date);
+
+module.exports = {
+  TIMEZONE,
+  DAY_MS,
+  dayOf,
+  currentDay,
+  parseDay,
+  addDays,
+  dayKey,
+  monthKey,
+  weekday,
+  startOfMonth,
+  endOfMonth,
+  monthRange,
+  zonedDateTime,
+  isPastDay,
+  normalizeStoredDay,
+};
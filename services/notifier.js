@@ -0,0 +1,156 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Reminders and notices to students. Each student opts in per channel (User.notificationChannels); a notice goes
+// out on every channel they have switched on. Email goes through the mailer (MAIL_TRANSPORT). The other channels
+// pick a transport:
+//   SMS_TRANSPORT   http    - POSTs { to, text } as JSON to SMS_GATEWAY_URL, with SMS_API_KEY as a Bearer token
+//   PUSH_TRANSPORT  webpush - Web Push to the student's browsers, signed with VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY
+//   either          file    - writes each message as JSON into NOTIFY_DIR, for local testing
+//   either          console - logs each message (default)
+// Other transports can be added with registerTransport(channel, name, factory); a factory returns an async send(message).
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+const outbox = channel => () => {
+  const dir = process.env.NOTIFY_DIR || path.join(__dirname, '..', 'notify-outbox');
+  return async message => {
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${channel}-${String(message.to.endpoint || message.to).replace(/[^a-z0-9+]/gi, '_').slice(-40)}.json`;
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  };
+};
+
+const logger = channel => () => async message => {
+  console.log(`[${channel}] To: ${message.to.endpoint || message.to} | ${message.title || ''}\n${message.text}`);
+};
+
+const transports = {
+  sms: {
+    http: () => {
+      if (!process.env.SMS_GATEWAY_URL) throw new Error('SMS_GATEWAY_URL is required for the http SMS transport');
+      return async ({ to, text }) => {
+        const response = await fetch(process.env.SMS_GATEWAY_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(process.env.SMS_API_KEY && { Authorization: `Bearer ${process.env.SMS_API_KEY}` }),
+          },
+          body: JSON.stringify({ to, text }),
+        });
+        if (!response.ok) throw new Error(`SMS gateway answered ${response.status}`);
+      };
+    },
+    file: outbox('sms'),
+    console: logger('sms'),
+  },
+  push: {
+    webpush: () => {
+      if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+        throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are required for the webpush transport');
+      }
+      const webpush = require('web-push');
+      webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:no-reply@localhost', process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+      return async ({ to, title, text, url }) => {
+        try {
+          await webpush.sendNotification(to, JSON.stringify({ title, body: text, url }));
+        } catch (error) {
+          // The browser dropped the subscription; the caller forgets it
+          error.gone = [404, 410].includes(error.statusCode);
+          throw error;
+        }
+      };
+    },
+    file: outbox('push'),
+    console: logger('push'),
+  },
+};
+
+function registerTransport(channel, name, factory) {
+  transports[channel][name] = factory;
+}
+
+// Each notice has a kind and a key (e.g. the meal day it is about); the log's unique index on the two means a
+// student gets it once, however often a job runs.
+function createNotifier({
+  User,
+  PushSubscription,
+  NotificationLog,
+  mailer,
+  sms = process.env.SMS_TRANSPORT || 'console',
+  push = process.env.PUSH_TRANSPORT || 'console',
+}) {
+  if (!transports.sms[sms]) throw new Error(`Unknown SMS transport: ${sms}`);
+  if (!transports.push[push]) throw new Error(`Unknown push transport: ${push}`);
+  const sendSms = transports.sms[sms]();
+  const sendPush = transports.push[push]();
+  const appUrl = process.env.APP_URL;
+  const link = url => url && appUrl ? `\n${appUrl}${url}` : '';
+
+  // Each channel resolves true once the notice is out, false when the student cannot be reached on it
+  const deliver = {
+    email: async (user, { title, text, url }) => {
+      if (user.emailVerified === false) return false; // Not confirmed to be theirs
+      await mailer.send({ to: user.email, subject: title, text: `Hi ${user.name},\n\n${text}${link(url)}` });
+      return true;
+    },
+    sms: async (user, { title, text, url }) => {
+      if (!user.phone) return false;
+      await sendSms({ to: user.phone, text: `${title}: ${text}${link(url)}` });
+      return true;
+    },
+    push: async (user, message) => {
+      const subscriptions = await PushSubscription.find({ userId: user._id }).lean();
+      let sent = false;
+      for (const subscription of subscriptions) {
+        try {
+          await sendPush({ to: { endpoint: subscription.endpoint, keys: subscription.keys }, ...message });
+          sent = true;
+        } catch (error) {
+          if (!error.gone) throw error;
+          await PushSubscription.deleteOne({ _id: subscription._id });
+        }
+      }
+      return sent;
+    },
+  };
+
+  // Sends a notice on the student's chosen channels. Returns false when they have none on, already had it, or no
+  // channel got it through. A channel that fails is logged and does not stop the others. The log entry is written
+  // first, so two runs cannot both send, and removed again when nothing was delivered so the next run retries.
+  async function notify(user, { kind, key, title, text, url }) {
+    const channels = CHANNELS.filter(channel => user.notificationChannels?.[channel]);
+    if (!channels.length) return false;
+    try {
+      await NotificationLog.create({ userId: user._id, kind, key, channels });
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+    let delivered = false;
+    for (const channel of channels) {
+      try {
+        if (await deliver[channel](user, { title, text, url })) delivered = true;
+      } catch (error) {
+        console.error(`Error sending ${channel} notification:`, error.message);
+      }
+    }
+    if (!delivered) await NotificationLog.deleteOne({ userId: user._id, kind, key });
+    return delivered;
+  }
+
+  // Students who have switched on at least one channel, narrowed by filter
+  const recipients = (filter = {}) => User.find({
+    ...filter,
+    $or: CHANNELS.map(channel => ({ [`notificationChannels.${channel}`]: true })),
+  }).lean();
+
+  return {
+    notify,
+    recipients,
+    // Browsers need this to subscribe; without it the dashboard cannot offer push
+    pushPublicKey: process.env.VAPID_PUBLIC_KEY || null,
+  };
+}
+
+module.exports = { createNotifier, registerTransport, CHANNELS };
@@ -0,0 +1,63 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// Admin reports are built as a plain table and rendered to either format:
+//   { title, subtitle, columns: [{ header, key, width }], rows: [{ [key]: value }], totals: { [key]: value } }
+// Column widths are in Excel character units; the PDF scales them to fit the page.
+
+async function writeReportXlsx(report, stream) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(report.title.slice(0, 31));
+  worksheet.addRow([report.title]).font = { bold: true, size: 14 };
+  if (report.subtitle) worksheet.addRow([report.subtitle]).font = { italic: true };
+  worksheet.addRow([]);
+  const headerRow = worksheet.addRow(report.columns.map(column => column.header));
+  headerRow.font = { bold: true };
+  headerRow.eachCell(cell => {
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9EAD3' } };
+    cell.border = { bottom: { style: 'thin' } };
+  });
+  worksheet.views = [{ state: 'frozen', ySplit: headerRow.number }];
+  report.columns.forEach((column, index) => {
+    worksheet.getColumn(index + 1).width = column.width || 12;
+  });
+  report.rows.forEach(row => worksheet.addRow(report.columns.map(column => row[column.key] ?? '')));
+  if (report.totals) worksheet.addRow(report.columns.map(column => report.totals[column.key] ?? '')).font = { bold: true };
+  await workbook.xlsx.write(stream);
+}
+
+function writeReportPdf(report, stream) {
+  const doc = new PDFDocument({ size: 'A4', layout: report.columns.length > 10 ? 'landscape' : 'portrait', margin: 30 });
+  doc.pipe(stream);
+  const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const totalUnits = report.columns.reduce((sum, column) => sum + (column.width || 12), 0);
+  const widths = report.columns.map(column => (column.width || 12) / totalUnits * pageWidth);
+  const fontSize = report.columns.length > 20 ? 6 : 8;
+  const rowHeight = fontSize + 6;
+
+  const drawRow = (values, { bold = false } = {}) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(report.columns.map(column => column.header), { bold: true });
+    }
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+    values.forEach((value, index) => {
+      doc.text(String(value ?? ''), x + 2, y + 3, { width: widths[index] - 4, height: rowHeight, lineBreak: false, ellipsis: true });
+      x += widths[index];
+    });
+    doc.moveTo(doc.page.margins.left, y + rowHeight).lineTo(doc.page.margins.left + pageWidth, y + rowHeight).strokeColor('#dddddd').stroke();
+    doc.y = y + rowHeight;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(14).text(report.title);
+  if (report.subtitle) doc.font('Helvetica').fontSize(9).text(report.subtitle);
+  doc.moveDown();
+  drawRow(report.columns.map(column => column.header), { bold: true });
+  report.rows.forEach(row => drawRow(report.columns.map(column => row[column.key])));
+  if (report.totals) drawRow(report.columns.map(column => report.totals[column.key]), { bold: true });
+  doc.end();
+}
+
+module.exports = { writeReportXlsx, writeReportPdf };
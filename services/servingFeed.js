@@ -0,0 +1,82 @@
+const { dayKey } = require('./mealDates');
+
+// Live serving board. Open serving pages and counter displays subscribe to one meal date over Server-Sent Events
+// and get an 'update' message whenever a row, guest booking or serving event for that date changes. Changes made within
+// batchMs of each other go out as one message, so a bulk update is a single push rather than one per student.
+// Browsers reconnect by themselves after a drop; clients reload the full board whenever the stream (re)opens, so
+// nothing missed while disconnected needs replaying. A subscriber may be limited to one dining hall; the board is
+// loaded once per hall watching. Subscribers are held in memory: every change must be made by the same process
+// that holds the stream.
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+function createServingFeed({ loadBoard, batchMs = 200 }) {
+  const channels = new Map(); // day key -> { date, clients: Map(res -> hall), userIds, eventIds, timer }
+
+  // Holds the response open as an event stream for one meal date, and one hall unless hall is null
+  function subscribe(req, res, date, hall = null) {
+    const key = dayKey(date);
+    if (!channels.has(key)) channels.set(key, { date, clients: new Map(), userIds: new Set(), eventIds: new Set(), timer: null });
+    const channel = channels.get(key);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    channel.clients.set(res, hall);
+
+    // Proxies close idle connections; a comment line keeps the stream alive without waking the client
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    heartbeat.unref();
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      channel.clients.delete(res);
+      closeIfIdle(key, channel);
+    });
+  }
+
+  // Queues a push for a meal date. userIds are the students whose rows changed and eventIds the serving events
+  // logged; leave both out when only guest bookings changed.
+  function notify(date, { userIds = [], eventIds = [] } = {}) {
+    const key = dayKey(date);
+    const channel = channels.get(key);
+    if (!channel?.clients.size) return;
+    userIds.forEach(userId => channel.userIds.add(String(userId)));
+    eventIds.forEach(eventId => channel.eventIds.add(String(eventId)));
+    if (channel.timer) return;
+    channel.timer = setTimeout(() => flush(key, channel), batchMs);
+    channel.timer.unref();
+  }
+
+  async function flush(key, channel) {
+    const userIds = [...channel.userIds];
+    const eventIds = [...channel.eventIds];
+    channel.userIds.clear();
+    channel.eventIds.clear();
+    channel.timer = null;
+    for (const hall of new Set(channel.clients.values())) {
+      try {
+        const board = await loadBoard(channel.date, { userIds, eventIds, hall });
+        const message = `event: update\ndata: ${JSON.stringify(board)}\n\n`;
+        channel.clients.forEach((clientHall, res) => {
+          if (clientHall === hall) res.write(message);
+        });
+      } catch (error) {
+        console.error('Error pushing serving update:', error.message);
+      }
+    }
+    closeIfIdle(key, channel);
+  }
+
+  function closeIfIdle(key, channel) {
+    if (!channel.clients.size && !channel.timer && channels.get(key) === channel) channels.delete(key);
+  }
+
+  return { subscribe, notify };
+}
+
+module.exports = { createServingFeed };
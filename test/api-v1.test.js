@@ -0,0 +1,239 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../server');
+const { startApp, stopApp, resetData, setClock, createStudent, createStaff, createAdmin, bookedDay, studentTokens, staffTokens, adminAgent, findDay, totalMeals } = require('./helpers');
+
+before(startApp);
+after(stopApp);
+
+const api = () => request(app);
+const bearer = tokens => `Bearer ${tokens.accessToken}`;
+
+describe('/api/v1/auth', () => {
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T08:00');
+  });
+
+  it('logs a student in with an access and a refresh token', async () => {
+    const user = await createStudent();
+
+    const tokens = await studentTokens(user);
+
+    assert.equal(tokens.tokenType, 'Bearer');
+    assert.equal(tokens.student.email, user.email);
+    const res = await api().get('/api/v1/me').set('Authorization', bearer(tokens)).expect(200);
+    assert.equal(res.body.id, user._id.toString());
+    assert.equal(res.body.password, undefined);
+  });
+
+  it('refuses wrong passwords and missing tokens with JSON errors', async () => {
+    const user = await createStudent();
+
+    const login = await api().post('/api/v1/auth/login').send({ email: user.email, password: 'wrong' }).expect(401);
+    const me = await api().get('/api/v1/me').expect(401);
+
+    assert.equal(login.body.error, 'Invalid credentials');
+    assert.equal(me.body.error, 'Invalid or expired access token');
+  });
+
+  it('rotates refresh tokens and revokes the login when a used one comes back', async () => {
+    const user = await createStudent();
+    const first = await studentTokens(user);
+
+    const second = (await api().post('/api/v1/auth/refresh').send({ refreshToken: first.refreshToken }).expect(200)).body;
+    assert.notEqual(second.refreshToken, first.refreshToken);
+
+    setClock('2025-03-10T08:05');
+    await api().post('/api/v1/auth/refresh').send({ refreshToken: first.refreshToken }).expect(401);
+    const res = await api().post('/api/v1/auth/refresh').send({ refreshToken: second.refreshToken }).expect(401);
+
+    assert.equal(res.body.error, 'Invalid or expired refresh token');
+  });
+
+  it('ends the login on logout', async () => {
+    const tokens = await studentTokens(await createStudent());
+
+    await api().post('/api/v1/auth/logout').send({ refreshToken: tokens.refreshToken }).expect(204);
+
+    await api().post('/api/v1/auth/refresh').send({ refreshToken: tokens.refreshToken }).expect(401);
+  });
+
+  it('keeps student tokens off staff routes', async () => {
+    const tokens = await studentTokens(await createStudent());
+
+    const res = await api().get('/api/v1/serving/2025-03-10').set('Authorization', bearer(tokens)).expect(403);
+
+    assert.equal(res.body.error, 'Forbidden: staff account required');
+  });
+
+  it('answers unknown routes and malformed bodies with JSON errors', async () => {
+    const notFound = await api().get('/api/v1/nothing').expect(404);
+    const malformed = await api().post('/api/v1/auth/login').set('Content-Type', 'application/json').send('{"email":').expect(400);
+
+    assert.equal(notFound.body.error, 'Not found');
+    assert.equal(malformed.body.error, 'Invalid JSON body');
+  });
+});
+
+describe('/api/v1/bookings', () => {
+  let user;
+  let tokens;
+
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T08:00');
+    user = await createStudent();
+    tokens = await studentTokens(user);
+  });
+
+  it('books a day and keeps the meal count in step', async () => {
+    const res = await api().put('/api/v1/bookings/2025-03-11').set('Authorization', bearer(tokens)).send({ meal: 'Both' }).expect(200);
+
+    assert.equal(res.body.booking.date, '2025-03-11');
+    assert.equal(res.body.booking.meal, 'Both');
+    assert.equal((await findDay(user, '2025-03-11')).dailyMealCount, 2);
+    assert.equal(await totalMeals(user), 2);
+  });
+
+  it('refuses past days with the same error as the booking page', async () => {
+    const res = await api().put('/api/v1/bookings/2025-03-09').set('Authorization', bearer(tokens)).send({ meal: 'Both' }).expect(400);
+
+    assert.equal(res.body.error, 'Cannot update past date');
+  });
+
+  it('lists booked days in a range and projects a day not written yet', async () => {
+    await bookedDay(user, '2025-03-10', 'Lunch');
+    await bookedDay(user, '2025-03-12', 'Both');
+
+    const list = await api().get('/api/v1/bookings?from=2025-03-10&to=2025-03-12').set('Authorization', bearer(tokens)).expect(200);
+    const day = await api().get('/api/v1/bookings/2025-03-11').set('Authorization', bearer(tokens)).expect(200);
+
+    assert.deepEqual(list.body.bookings.map(b => [b.date, b.meal]), [['2025-03-10', 'Lunch'], ['2025-03-12', 'Both']]);
+    assert.equal(day.body.projected, true);
+    assert.equal(day.body.date, '2025-03-11');
+  });
+
+  it('validates ranges', async () => {
+    const res = await api().get('/api/v1/bookings?from=2025-03-12&to=2025-03-10').set('Authorization', bearer(tokens)).expect(400);
+
+    assert.equal(res.body.error, 'Invalid date range');
+  });
+
+  it('books a range of days', async () => {
+    const res = await api().post('/api/v1/bookings/range').set('Authorization', bearer(tokens))
+      .send({ from: '2025-03-11', to: '2025-03-13', meal: 'Lunch' })
+      .expect(200);
+
+    assert.equal(res.body.totalChange, 3);
+    assert.equal(await totalMeals(user), 3);
+  });
+
+  it('sends days past a queued cutoff to staff as late requests', async () => {
+    await mongoose.model('MealCutoff').create({ meal: 'Lunch', daysBefore: 1, time: '07:00', lateAction: 'Queue' });
+
+    const res = await api().post('/api/v1/bookings/range').set('Authorization', bearer(tokens))
+      .send({ from: '2025-03-11', to: '2025-03-12', meal: 'Lunch' })
+      .expect(200);
+
+    assert.equal(res.body.totalChange, 1);
+    assert.match(res.body.days[0].lateRequest, /^Lunch changes lock at 07:00/);
+    assert.equal(res.body.days[0].skipped, null);
+    assert.equal(await findDay(user, '2025-03-11'), null);
+    const lateRequest = await mongoose.model('LateRequest').findOne({ userId: user._id }).lean();
+    assert.equal(lateRequest.meal, 'Lunch');
+    assert.equal(lateRequest.date.toISOString(), '2025-03-11T00:00:00.000Z');
+  });
+
+  it('drops the items of a meal the range switches off', async () => {
+    // The seeded items are kept between tests, so this one is removed again at the end
+    const Item = mongoose.model('ExtraItem');
+    await Item.create({ name: 'Kheer', price: 40, meals: ['Dinner'] });
+    try {
+      await bookedDay(user, '2025-03-11', 'Both', { additionalItems: ['Mutton', 'Kheer'], additionalCharge: 160 });
+
+      await api().post('/api/v1/bookings/range').set('Authorization', bearer(tokens))
+        .send({ from: '2025-03-11', to: '2025-03-11', meal: 'Lunch' })
+        .expect(200);
+
+      const row = await findDay(user, '2025-03-11');
+      assert.equal(row.meal, 'Lunch');
+      assert.deepEqual(row.additionalItems, ['Mutton']);
+    } finally {
+      await Item.deleteOne({ name: 'Kheer' });
+    }
+  });
+
+  it('pages meal history newest first', async () => {
+    await bookedDay(user, '2025-03-08', 'Lunch');
+    await bookedDay(user, '2025-03-09', 'Both');
+
+    const res = await api().get('/api/v1/history?limit=1').set('Authorization', bearer(tokens)).expect(200);
+
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(res.body.items.map(b => b.date), ['2025-03-09']);
+  });
+});
+
+describe('/api/v1/serving', () => {
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T13:00');
+  });
+
+  it('serves a booked meal and logs the staff member from the token', async () => {
+    const staff = await createStaff('Server');
+    const tokens = await staffTokens(staff);
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Both');
+
+    const res = await api().post('/api/v1/serving/2025-03-10/serve').set('Authorization', bearer(tokens))
+      .send({ userId: user._id.toString(), mealType: 'Lunch' })
+      .expect(200);
+
+    assert.equal(res.body.message, 'Lunch served successfully');
+    assert.equal((await findDay(user, '2025-03-10')).lunchServed, true);
+    const event = await mongoose.model('ServingEvent').findOne({ userId: user._id }).lean();
+    assert.equal(event.staffId.toString(), staff._id.toString());
+  });
+
+  it('cuts off a staff device as soon as an admin disables the account or resets its password', async () => {
+    const disabled = await createStaff('Server');
+    const disabledTokens = await staffTokens(disabled);
+    const reset = await createStaff('Server');
+    const resetTokens = await staffTokens(reset);
+    const admin = await adminAgent(await createAdmin());
+
+    await admin.post(`/api/accounts/staff/${disabled._id}/update`).send({ active: false }).expect(200);
+    await admin.post(`/api/accounts/staff/${reset._id}/reset-password`).send({ password: 'new-password-1' }).expect(200);
+
+    await api().get('/api/v1/serving/2025-03-10').set('Authorization', bearer(disabledTokens)).expect(401);
+    await api().post('/api/v1/auth/refresh').send({ refreshToken: resetTokens.refreshToken }).expect(401);
+  });
+
+  it('applies a dining hall change to access tokens already issued', async () => {
+    const staff = await createStaff('Server');
+    const tokens = await staffTokens(staff);
+    const boys = await createStudent({ hall: 'BOYS' });
+    await bookedDay(boys, '2025-03-10', 'Lunch');
+    await bookedDay(await createStudent({ hall: 'GIRLS', gender: 'Female' }), '2025-03-10', 'Lunch');
+    await mongoose.model('Staff').updateOne({ _id: staff._id }, { hall: 'BOYS' });
+
+    const res = await api().get('/api/v1/serving/2025-03-10').set('Authorization', bearer(tokens)).expect(200);
+
+    assert.deepEqual(res.body.students.map(student => student._id), [boys._id.toString()]);
+  });
+
+  it('returns the board for a day', async () => {
+    const tokens = await staffTokens(await createStaff('Server'));
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Lunch');
+
+    const res = await api().get('/api/v1/serving/2025-03-10').set('Authorization', bearer(tokens)).expect(200);
+
+    assert.equal(res.body.counts.lunch.booked, 1);
+    assert.equal(res.body.students.length, 1);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, stopApp, resetData, setClock, mealDay, createStudent, createAdmin, bookedDay, adminAgent, findDay, totalMeals } = require('./helpers');
+
+before(startApp);
+after(stopApp);
+
+describe('POST /api/batches/:code/archive', () => {
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T13:00');
+  });
+
+  it("turns the archived students' days after today Off and keeps today and the past", async () => {
+    const user = await createStudent({ batch: '09' });
+    const other = await createStudent({ batch: '12' });
+    await bookedDay(user, '2025-03-09', 'Both', { lunchServed: true, dinnerServed: true });
+    await bookedDay(user, '2025-03-10', 'Lunch');
+    await bookedDay(user, '2025-03-11', 'Both');
+    await bookedDay(user, '2025-03-15', 'Dinner');
+    await bookedDay(other, '2025-03-11', 'Both');
+
+    await (await adminAgent(await createAdmin())).post('/api/batches/09/archive').send({}).expect(200);
+
+    const booked = await mongoose.model('MealHistory').countDocuments({ userId: user._id, date: { $gt: mealDay('2025-03-10') }, meal: { $ne: 'Off' } });
+    assert.equal(booked, 0);
+    assert.equal((await findDay(user, '2025-03-10')).meal, 'Lunch');
+    assert.equal((await findDay(user, '2025-03-09')).meal, 'Both');
+    assert.equal(await totalMeals(user), 3);
+    assert.equal((await findDay(other, '2025-03-11')).meal, 'Both');
+    assert.equal((await mongoose.model('User').findById(user._id).lean()).status, 'Archived');
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, stopApp, resetData, setClock, createStudent, createAdmin, bookedDay, adminAgent, findDay } = require('./helpers');
+
+before(startApp);
+after(stopApp);
+
+describe('POST /api/calendar', () => {
+  let agent;
+  let user;
+
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-04-02T12:00');
+    agent = await adminAgent(await createAdmin());
+    user = await createStudent();
+  });
+
+  it('closes a coming day and turns its bookings Off', async () => {
+    await bookedDay(user, '2025-04-05', 'Both');
+
+    await agent.post('/api/calendar').send({ date: '2025-04-05', type: 'Closed' }).expect(200);
+
+    assert.equal((await findDay(user, '2025-04-05')).meal, 'Off');
+  });
+
+  it('refuses a past day', async () => {
+    await bookedDay(user, '2025-04-01', 'Both', { lunchServed: true });
+
+    const res = await agent.post('/api/calendar').send({ date: '2025-04-01', type: 'Closed' }).expect(400);
+
+    assert.equal(res.body.error, 'Cannot change a past date');
+    assert.equal((await findDay(user, '2025-04-01')).meal, 'Both');
+    assert.equal(await mongoose.model('CalendarDay').countDocuments(), 0);
+  });
+
+  it('refuses a day in a closed billing month', async () => {
+    await mongoose.model('BillingPeriod').create({ month: '2025-04', totalExpense: 0, totalMeals: 0, mealRate: 0 });
+    await bookedDay(user, '2025-04-05', 'Both');
+
+    const res = await agent.post('/api/calendar').send({ date: '2025-04-05', type: 'Closed' }).expect(400);
+
+    assert.equal(res.body.error, 'Billing month is closed');
+    assert.equal((await findDay(user, '2025-04-05')).meal, 'Both');
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, stopApp, resetData, setClock, mealDay, createStudent, bookedDay, findDay, totalMeals } = require('./helpers');
+const { runDailyMealUpdate, runMealCountReconcile } = require('../server');
+
+before(startApp);
+after(stopApp);
+
+// The cron fires at 00:00 Asia/Dhaka; these run its handler with the clock either side of that midnight
+describe('daily meal update', () => {
+  beforeEach(resetData);
+
+  it("gives every active student today's row, copied from their last day", async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Both', { additionalItems: ['Mutton'], additionalCharge: 120 });
+    setClock('2025-03-11T00:00');
+
+    await runDailyMealUpdate();
+
+    const row = await findDay(user, '2025-03-11');
+    assert.equal(row.meal, 'Both');
+    assert.deepEqual(row.additionalItems, ['Mutton']);
+    assert.equal(row.lunchServed, false);
+    assert.equal(await totalMeals(user), 4);
+  });
+
+  it('drops copied items that have sold out for the day', async () => {
+    // The seeded items are kept between tests, so this one is removed again at the end
+    const Item = mongoose.model('ExtraItem');
+    await Item.create({ name: 'Biryani', price: 150, meals: ['Lunch', 'Dinner'], dailyLimit: 1 });
+    try {
+      const user = await createStudent();
+      await bookedDay(user, '2025-03-10', 'Both', { additionalItems: ['Biryani'], additionalCharge: 150 });
+      await bookedDay(await createStudent(), '2025-03-11', 'Lunch', { additionalItems: ['Biryani'], additionalCharge: 150 });
+      setClock('2025-03-11T00:00');
+
+      await runDailyMealUpdate();
+
+      const row = await findDay(user, '2025-03-11');
+      assert.equal(row.meal, 'Both');
+      assert.deepEqual(row.additionalItems, []);
+      assert.equal(row.additionalCharge, 0);
+    } finally {
+      await Item.deleteOne({ name: 'Biryani' });
+    }
+  });
+
+  it('still works on the previous day a minute before midnight', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-09', 'Lunch');
+    setClock('2025-03-10T23:59');
+
+    await runDailyMealUpdate();
+
+    assert.equal((await findDay(user, '2025-03-10')).meal, 'Lunch');
+    assert.equal(await findDay(user, '2025-03-11'), null);
+  });
+
+  it('leaves days that already exist alone and can run twice', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Both');
+    await bookedDay(user, '2025-03-11', 'Dinner');
+    setClock('2025-03-11T00:00');
+
+    await runDailyMealUpdate();
+    await runDailyMealUpdate();
+
+    assert.equal((await findDay(user, '2025-03-11')).meal, 'Dinner');
+    assert.equal(await mongoose.model('MealHistory').countDocuments({ userId: user._id }), 2);
+    assert.equal(await totalMeals(user), 3);
+  });
+
+  it('skips students who are not active', async () => {
+    const pending = await createStudent({ status: 'Pending' });
+    const archived = await createStudent({ status: 'Archived' });
+    setClock('2025-03-11T00:00');
+
+    await runDailyMealUpdate();
+
+    assert.equal(await findDay(pending, '2025-03-11'), null);
+    assert.equal(await findDay(archived, '2025-03-11'), null);
+  });
+
+  it("uses the student's weekly template for the weekday", async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Both');
+    await mongoose.model('MealTemplate').create({ userId: user._id, days: [{ weekday: 2, meal: 'Dinner' }] }); // Tuesday
+    setClock('2025-03-11T00:00');
+
+    await runDailyMealUpdate();
+
+    assert.equal((await findDay(user, '2025-03-11')).meal, 'Dinner');
+    assert.equal(await totalMeals(user), 3);
+  });
+
+  it('cuts back rows booked before the calendar closed a meal', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-11', 'Both', { additionalItems: ['Mutton'], additionalCharge: 120 });
+    await mongoose.model('CalendarDay').create({ date: mealDay('2025-03-11'), type: 'LunchOnly' });
+    setClock('2025-03-11T00:00');
+
+    await runDailyMealUpdate();
+
+    const row = await findDay(user, '2025-03-11');
+    assert.equal(row.meal, 'Lunch');
+    assert.equal(row.dailyMealCount, 1);
+    assert.equal(await totalMeals(user), 1);
+  });
+
+  it('resumes the last normal day after a closure', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-09', 'Both');
+    await bookedDay(user, '2025-03-10', 'Off');
+    await mongoose.model('CalendarDay').create({ date: mealDay('2025-03-10'), type: 'Closed' });
+    setClock('2025-03-11T00:00');
+
+    await runDailyMealUpdate();
+
+    assert.equal((await findDay(user, '2025-03-11')).meal, 'Both');
+  });
+});
+
+describe('meal count reconciliation', () => {
+  beforeEach(resetData);
+
+  it('repairs totals and day counts that drifted from meal history', async () => {
+    const user = await createStudent();
+    const row = await bookedDay(user, '2025-03-10', 'Both');
+    await bookedDay(user, '2025-03-11', 'Lunch');
+    await mongoose.model('MealHistory').updateOne({ _id: row._id }, { dailyMealCount: 1 });
+    await mongoose.model('User').updateOne({ _id: user._id }, { totalMealCount: 7 });
+
+    await runMealCountReconcile();
+
+    assert.equal((await findDay(user, '2025-03-10')).dailyMealCount, 2);
+    assert.equal(await totalMeals(user), 3);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, stopApp, resetData, mealDay, createStudent, findDay, totalMeals } = require('./helpers');
+const { migrateMealDates } = require('../server');
+
+before(startApp);
+after(stopApp);
+
+// Rows written by the old code on a server running in Dhaka time sit at 18:00 UTC the evening before
+const dhakaMidnight = day => new Date(mealDay(day).getTime() - 6 * 60 * 60 * 1000);
+// An _id minted at the given instant, as the row's driver would have when it was written
+const writtenAt = time => mongoose.Types.ObjectId.createFromTime(Date.parse(time) / 1000);
+
+describe('meal date migration', () => {
+  beforeEach(resetData);
+
+  it('moves rows stored at Dhaka midnight onto their day', async () => {
+    const user = await createStudent({ totalMealCount: 2 });
+    await mongoose.model('MealHistory').create({ userId: user._id, date: dhakaMidnight('2025-03-10'), meal: 'Both', dailyMealCount: 2 });
+    await mongoose.model('CalendarDay').create({ date: dhakaMidnight('2025-03-12'), type: 'Closed' });
+
+    await migrateMealDates();
+
+    assert.equal((await findDay(user, '2025-03-10')).meal, 'Both');
+    assert.ok(await mongoose.model('CalendarDay').exists({ date: mealDay('2025-03-12') }));
+    assert.equal(await totalMeals(user), 2);
+  });
+
+  it('merges a duplicate day into the correctly stored row and fixes the total', async () => {
+    const user = await createStudent({ totalMealCount: 3 });
+    const stale = await mongoose.model('MealHistory').create({
+      userId: user._id, date: dhakaMidnight('2025-03-10'), meal: 'Both', dailyMealCount: 2, lunchServed: true,
+    });
+    await mongoose.model('MealHistory').create({ userId: user._id, date: mealDay('2025-03-10'), meal: 'Lunch', dailyMealCount: 1 });
+    await mongoose.model('MealCorrection').create({
+      userId: user._id, mealHistoryId: stale._id, date: dhakaMidnight('2025-03-10'), current: { meal: 'Both' }, requested: { meal: 'Lunch' }, reason: 'Ate lunch only',
+    });
+
+    const { dropped } = await migrateMealDates();
+
+    const row = await findDay(user, '2025-03-10');
+    assert.deepEqual(dropped.map(({ model, record }) => [model, String(record._id), record.meal]), [['MealHistory', String(stale._id), 'Both']]);
+    assert.equal(await mongoose.model('MealHistory').countDocuments({ userId: user._id }), 1);
+    assert.equal(row.meal, 'Lunch');
+    assert.equal(row.lunchServed, true);
+    assert.equal(await totalMeals(user), 1);
+    const correction = await mongoose.model('MealCorrection').findOne().lean();
+    assert.equal(String(correction.mealHistoryId), String(row._id));
+    assert.equal(correction.date.getTime(), mealDay('2025-03-10').getTime());
+  });
+
+  it('moves a row written at UTC midnight in the small hours onto the Dhaka day it was written for', async () => {
+    const carriedUser = await createStudent({ totalMealCount: 1 });
+    const bookedUser = await createStudent({ totalMealCount: 2 });
+    // The old midnight job on a UTC server, at 00:30 Dhaka on 11 March, stored its carried row under 10 March
+    await mongoose.model('MealHistory').create({
+      _id: writtenAt('2025-03-10T18:30:00Z'), userId: carriedUser._id, date: mealDay('2025-03-10'), meal: 'Lunch', dailyMealCount: 1,
+    });
+    // Booked for 10 March that afternoon in Dhaka, so already on its day
+    await mongoose.model('MealHistory').create({
+      _id: writtenAt('2025-03-10T09:00:00Z'), userId: bookedUser._id, date: mealDay('2025-03-10'), meal: 'Both', dailyMealCount: 2,
+    });
+
+    const { moved, dropped } = await migrateMealDates();
+
+    assert.equal(moved, 1);
+    assert.deepEqual(dropped, []);
+    assert.equal(await findDay(carriedUser, '2025-03-10'), null);
+    assert.equal((await findDay(carriedUser, '2025-03-11')).meal, 'Lunch');
+    assert.equal((await findDay(bookedUser, '2025-03-10')).meal, 'Both');
+  });
+
+  it('keeps the booking a student made for the day a misdated carried row moves onto', async () => {
+    const user = await createStudent({ totalMealCount: 3 });
+    const carried = await mongoose.model('MealHistory').create({
+      _id: writtenAt('2025-03-10T18:00:05Z'), userId: user._id, date: mealDay('2025-03-10'), meal: 'Lunch', dailyMealCount: 1,
+    });
+    await mongoose.model('MealHistory').create({
+      _id: writtenAt('2025-03-10T12:00:00Z'), userId: user._id, date: mealDay('2025-03-11'), meal: 'Both', dailyMealCount: 2,
+    });
+
+    const { dropped } = await migrateMealDates();
+
+    assert.deepEqual(dropped.map(({ record }) => String(record._id)), [String(carried._id)]);
+    assert.equal(await mongoose.model('MealHistory').countDocuments({ userId: user._id }), 1);
+    assert.equal((await findDay(user, '2025-03-11')).meal, 'Both');
+    assert.equal(await totalMeals(user), 2);
+  });
+
+  it('leaves correctly stored dates alone', async () => {
+    const user = await createStudent({ totalMealCount: 1 });
+    await mongoose.model('MealHistory').create({ userId: user._id, date: mealDay('2025-03-10'), meal: 'Dinner', dailyMealCount: 1 });
+
+    await migrateMealDates();
+
+    assert.equal((await findDay(user, '2025-03-10')).meal, 'Dinner');
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, stopApp, resetData, setClock, mealDay, createStudent, createStaff, createAdmin, bookedDay, staffAgent, adminAgent, findDay } = require('./helpers');
+
+before(startApp);
+after(stopApp);
+
+describe('hall-scoped staff', () => {
+  let agent;
+  let boys;
+  let girls;
+
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T13:00');
+    await mongoose.model('DiningHall').create([{ code: 'BOYS', name: "Boys' Hostel" }, { code: 'GIRLS', name: "Girls' Hostel" }]);
+    agent = await staffAgent(await createStaff('MessManager', { hall: 'BOYS' }));
+    boys = await createStudent({ hall: 'BOYS' });
+    girls = await createStudent({ hall: 'GIRLS', gender: 'Female' });
+  });
+
+  it("only lists and boards their own hall's students", async () => {
+    await bookedDay(boys, '2025-03-10', 'Both');
+    await bookedDay(girls, '2025-03-10', 'Both');
+
+    const board = await agent.get('/api/meal/serving-board').query({ date: '2025-03-10', hall: 'GIRLS' }).expect(200);
+    const users = await agent.get('/api/meal/all-users').query({ date: '2025-03-10' }).expect(200);
+
+    assert.deepEqual(board.body.rows.map(row => row.userId), [boys._id.toString()]);
+    assert.equal(board.body.counts.total, 2);
+    assert.deepEqual(users.body.map(user => user._id), [boys._id.toString()]);
+  });
+
+  it("refuses to serve another hall's student", async () => {
+    await bookedDay(girls, '2025-03-10', 'Both');
+
+    const res = await agent.post(`/api/meal/serve/${girls._id}`).send({ mealType: 'Lunch', date: '2025-03-10' }).expect(403);
+
+    assert.equal(res.body.error, 'Student belongs to another dining hall');
+    assert.equal((await findDay(girls, '2025-03-10')).lunchServed, false);
+  });
+
+  it('enables a bulk extra meal for their hall only', async () => {
+    await bookedDay(boys, '2025-03-10', 'Off');
+    await bookedDay(girls, '2025-03-10', 'Off');
+
+    const res = await agent.post('/api/meal/extra').send({ date: '2025-03-10', mealType: 'Dinner' }).expect(200);
+
+    assert.equal(res.body.message, 'Extra Dinner enabled for 1 users in BOYS');
+    assert.equal((await findDay(boys, '2025-03-10')).meal, 'Dinner');
+    assert.equal((await findDay(girls, '2025-03-10')).meal, 'Off');
+    const event = await mongoose.model('ServingEvent').findOne({ action: 'Extra' }).lean();
+    assert.equal(event.hall, 'BOYS');
+  });
+});
+
+describe('hall meal rates', () => {
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-20T12:00');
+  });
+
+  it("spreads shared expenses over every meal and a hall's own over its meals", async () => {
+    const boys = await createStudent({ hall: 'BOYS' });
+    const girls = await createStudent({ hall: 'GIRLS', gender: 'Female' });
+    const unassigned = await createStudent();
+    await bookedDay(boys, '2025-03-10', 'Both');
+    await bookedDay(girls, '2025-03-10', 'Both');
+    await bookedDay(unassigned, '2025-03-10', 'Lunch');
+    await mongoose.model('BazarExpense').create([
+      { month: '2025-03', date: mealDay('2025-03-10'), description: 'Rice', amount: 500 },
+      { month: '2025-03', date: mealDay('2025-03-10'), description: 'Fish', amount: 200, hall: 'BOYS' },
+    ]);
+    const agent = await adminAgent(await createAdmin());
+
+    const res = await agent.get('/api/billing/2025-03').expect(200);
+
+    assert.equal(res.body.sharedExpense, 500);
+    assert.deepEqual(res.body.halls, [
+      { hall: 'BOYS', totalExpense: 200, totalMeals: 2, mealRate: 200 },
+      { hall: 'GIRLS', totalExpense: 0, totalMeals: 2, mealRate: 100 },
+    ]);
+    const chargeOf = user => res.body.bills.find(bill => bill.userId === user._id.toString()).mealCharge;
+    assert.equal(chargeOf(boys), 400);
+    assert.equal(chargeOf(girls), 200);
+    assert.equal(chargeOf(unassigned), 100);
+  });
+});
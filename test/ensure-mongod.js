@@ -0,0 +1,18 @@
+// Run by `npm test` before the suite: finds the mongod binary the in-memory replica set needs, downloading it once
+// into the cache, and stops the run with one clear message when that is impossible instead of letting every test
+// file fail on its own. Nothing to check when MONGODB_TEST_URI points the tests at a running replica set.
+const { MongoBinary } = require('mongodb-memory-server');
+
+async function main() {
+  if (process.env.MONGODB_TEST_URI) return;
+  try {
+    console.log(`Using mongod at ${await MongoBinary.getPath()}`);
+  } catch (error) {
+    console.error(`No mongod binary for the tests: ${error.message}`);
+    console.error('Set MONGOMS_SYSTEM_BINARY to an installed mongod, MONGOMS_DOWNLOAD_DIR to a directory holding a'
+      + ' downloaded one, or MONGODB_TEST_URI to a running replica set (see README, Tests).');
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,176 @@
+// Shared harness for the integration tests: each test file boots the app against its own database and builds
+// its fixtures directly through the models.
+//
+// The database is an in-memory single-node replica set (transactions need one). The mongod binary is downloaded
+// on first use, or taken from MONGOMS_SYSTEM_BINARY; ensure-mongod.js checks for it before `npm test` starts. Set
+// MONGODB_TEST_URI to a local replica set to use that instead (each file gets its own database).
+
+// Run on UTC like the production host; meal dates must not depend on the server's timezone
+process.env.TZ = 'UTC';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+process.env.MAIL_TRANSPORT = 'console';
+process.env.APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const crypto = require('crypto');
+const { mock } = require('node:test');
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const server = require('../server');
+const { countMeals } = require('../services/mealBooking');
+
+const PASSWORD = 'password123';
+let replSet;
+
+async function startApp() {
+  const dbName = `meal_test_${crypto.randomBytes(4).toString('hex')}`;
+  let uri;
+  if (process.env.MONGODB_TEST_URI) {
+    const url = new URL(process.env.MONGODB_TEST_URI);
+    url.pathname = `/${dbName}`;
+    uri = url.toString();
+  } else {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    uri = replSet.getUri(dbName);
+  }
+  const log = console.log;
+  console.log = () => {}; // Connection and seeding chatter
+  try {
+    await server.connectDB(uri);
+  } finally {
+    console.log = log;
+  }
+  return server;
+}
+
+async function stopApp() {
+  mock.timers.reset();
+  if (mongoose.connection.readyState === 1) await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+}
+
+// Clears everything a test created, keeping the seeded batches and items
+async function resetData() {
+  const keep = ['batches', 'extraitems'];
+  for (const collection of Object.values(mongoose.connection.collections)) {
+    if (!keep.includes(collection.collectionName)) await collection.deleteMany({});
+  }
+}
+
+// Fake clock: freezes Date at a Dhaka wall-clock time given as 'YYYY-MM-DDTHH:MM'. Only Date is faked, so the
+// driver's own timers keep running.
+function setClock(dhakaTime) {
+  mock.timers.reset();
+  mock.timers.enable({ apis: ['Date'], now: dhakaDate(dhakaTime) });
+}
+
+const dhakaDate = dhakaTime => new Date(`${dhakaTime}:00+06:00`);
+
+// A meal day ('YYYY-MM-DD') as stored in MealHistory.date
+const mealDay = day => new Date(`${day}T00:00:00Z`);
+
+let rollCounter = 0;
+
+async function createStudent(overrides = {}) {
+  rollCounter += 1;
+  return mongoose.model('User').create({
+    name: `Student ${rollCounter}`,
+    classRoll: rollCounter,
+    email: `student${rollCounter}@example.com`,
+    password: await bcrypt.hash(PASSWORD, 4),
+    gender: 'Male',
+    batch: '12',
+    status: 'Active',
+    emailVerified: true,
+    ...overrides,
+  });
+}
+
+async function createStaff(role = 'MessManager', overrides = {}) {
+  rollCounter += 1;
+  return mongoose.model('Staff').create({
+    name: `Staff ${rollCounter}`,
+    email: `staff${rollCounter}@example.com`,
+    password: await bcrypt.hash(PASSWORD, 4),
+    role,
+    ...overrides,
+  });
+}
+
+async function createAdmin(role = 'SuperAdmin') {
+  rollCounter += 1;
+  return mongoose.model('Admin').create({
+    name: `Admin ${rollCounter}`,
+    email: `admin${rollCounter}@example.com`,
+    password: await bcrypt.hash(PASSWORD, 4),
+    role,
+  });
+}
+
+// Writes a day directly, as if booked earlier, and keeps the student's total in step
+async function bookedDay(user, day, meal, fields = {}) {
+  const row = await mongoose.model('MealHistory').create({
+    userId: user._id,
+    date: mealDay(day),
+    meal,
+    dailyMealCount: countMeals(meal),
+    ...fields,
+  });
+  await mongoose.model('User').updateOne({ _id: user._id }, { $inc: { totalMealCount: countMeals(meal) } });
+  return row;
+}
+
+// Logged-in supertest agents
+async function studentAgent(user) {
+  const agent = request.agent(server.app);
+  await agent.post('/login').type('form').send({ email: user.email, password: PASSWORD }).expect(302);
+  return agent;
+}
+
+async function staffAgent(staff) {
+  const agent = request.agent(server.app);
+  await agent.post('/staff/login').type('form').send({ email: staff.email, password: PASSWORD }).expect(302);
+  return agent;
+}
+
+async function adminAgent(admin) {
+  const agent = request.agent(server.app);
+  await agent.post('/admin/login').type('form').send({ email: admin.email, password: PASSWORD }).expect(302);
+  return agent;
+}
+
+// Tokens for the /api/v1 routes: { accessToken, refreshToken, ... }
+async function studentTokens(user) {
+  const res = await request(server.app).post('/api/v1/auth/login').send({ email: user.email, password: PASSWORD }).expect(200);
+  return res.body;
+}
+
+async function staffTokens(staff) {
+  const res = await request(server.app).post('/api/v1/auth/staff/login').send({ email: staff.email, password: PASSWORD }).expect(200);
+  return res.body;
+}
+
+const findDay = (user, day) => mongoose.model('MealHistory').findOne({ userId: user._id, date: mealDay(day) }).lean();
+
+const totalMeals = async user => (await mongoose.model('User').findById(user._id).lean()).totalMealCount;
+
+module.exports = {
+  startApp,
+  stopApp,
+  resetData,
+  setClock,
+  mealDay,
+  createStudent,
+  createStaff,
+  createAdmin,
+  bookedDay,
+  studentAgent,
+  staffAgent,
+  adminAgent,
+  studentTokens,
+  staffTokens,
+  findDay,
+  totalMeals,
+};
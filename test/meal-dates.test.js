@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDay, dayOf, addDays, dayKey, weekday, endOfMonth, monthRange, zonedDateTime, isPastDay, normalizeStoredDay } = require('../services/mealDates');
+
+describe('meal dates', () => {
+  it('stores a day as the UTC midnight of that date', () => {
+    assert.equal(parseDay('2025-03-10').toISOString(), '2025-03-10T00:00:00.000Z');
+  });
+
+  it('rejects malformed and impossible days', () => {
+    assert.equal(parseDay('2025-02-30'), null);
+    assert.equal(parseDay('next tuesday'), null);
+    assert.equal(parseDay(''), null);
+  });
+
+  it('takes the Dhaka date of a full timestamp', () => {
+    assert.equal(dayKey(parseDay('2025-03-10T20:30:00Z')), '2025-03-11');
+    assert.equal(dayKey(dayOf(new Date('2025-03-10T17:59:00Z'))), '2025-03-10');
+  });
+
+  it('counts a day as past only once Dhaka midnight has gone', () => {
+    const day = parseDay('2025-03-10');
+    assert.equal(isPastDay(day, new Date('2025-03-10T23:59:00+06:00')), false);
+    assert.equal(isPastDay(day, new Date('2025-03-11T00:00:00+06:00')), true);
+  });
+
+  it('places wall-clock times on the Dhaka clock', () => {
+    assert.equal(zonedDateTime(parseDay('2025-03-10'), '10:00').toISOString(), '2025-03-10T04:00:00.000Z');
+    assert.equal(zonedDateTime(parseDay('2025-03-10'), '00:00').toISOString(), '2025-03-09T18:00:00.000Z');
+  });
+
+  it('does day arithmetic without the server timezone', () => {
+    const day = parseDay('2024-02-28');
+    assert.equal(dayKey(addDays(day, 1)), '2024-02-29');
+    assert.equal(weekday(parseDay('2025-03-10')), 1);
+    assert.equal(dayKey(endOfMonth(day)), '2024-02-29');
+    assert.deepEqual(Object.values(monthRange('2024-12')).map(dayKey), ['2024-12-01', '2025-01-01']);
+  });
+
+  it('maps dates stored at Dhaka midnight onto the same day', () => {
+    assert.equal(dayKey(normalizeStoredDay(new Date('2025-03-09T18:00:00Z'))), '2025-03-10');
+    assert.equal(dayKey(normalizeStoredDay(new Date('2025-03-10T00:00:00Z'))), '2025-03-10');
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, stopApp, resetData, setClock, mealDay, createStudent, createAdmin, bookedDay, studentAgent, adminAgent, findDay, totalMeals } = require('./helpers');
+
+before(startApp);
+after(stopApp);
+
+describe('POST /meal-update', () => {
+  beforeEach(resetData);
+
+  it('books today up to the last minute of the Dhaka day', async () => {
+    setClock('2025-03-10T23:59');
+    const user = await createStudent();
+    const agent = await studentAgent(user);
+
+    await agent.post('/meal-update').send({ meal: 'Both', date: '2025-03-10' }).expect(200);
+
+    const row = await findDay(user, '2025-03-10');
+    assert.equal(row.meal, 'Both');
+    assert.equal(row.dailyMealCount, 2);
+    assert.equal(await totalMeals(user), 2);
+  });
+
+  it('rejects a day once Dhaka midnight has passed', async () => {
+    setClock('2025-03-11T00:01');
+    const user = await createStudent();
+    const agent = await studentAgent(user);
+
+    const res = await agent.post('/meal-update').send({ meal: 'Both', date: '2025-03-10' }).expect(400);
+
+    assert.equal(res.body.error, 'Cannot update past date');
+    assert.equal(await findDay(user, '2025-03-10'), null);
+    assert.equal(await totalMeals(user), 0);
+  });
+
+  it('books the Dhaka day before 6 am, while UTC is still on the previous date', async () => {
+    setClock('2025-03-11T02:00');
+    const user = await createStudent();
+    const agent = await studentAgent(user);
+
+    await agent.post('/meal-update').send({ meal: 'Lunch', date: '2025-03-11' }).expect(200);
+    await agent.post('/meal-update').send({ meal: 'Lunch', date: '2025-03-10' }).expect(400);
+
+    assert.equal((await findDay(user, '2025-03-11')).meal, 'Lunch');
+  });
+
+  it('moves the total by the difference when a day is changed', async () => {
+    setClock('2025-03-10T08:00');
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-12', 'Both');
+    const agent = await studentAgent(user);
+
+    await agent.post('/meal-update').send({ meal: 'Dinner', date: '2025-03-12' }).expect(200);
+    assert.equal(await totalMeals(user), 1);
+
+    await agent.post('/meal-update').send({ meal: 'Off', date: '2025-03-12' }).expect(200);
+    assert.equal(await totalMeals(user), 0);
+  });
+
+  it('refuses days the calendar closes', async () => {
+    setClock('2025-03-10T08:00');
+    await mongoose.model('CalendarDay').create({ date: mealDay('2025-03-12'), type: 'Closed', note: 'Eid' });
+    const user = await createStudent();
+    const agent = await studentAgent(user);
+
+    const res = await agent.post('/meal-update').send({ meal: 'Lunch', date: '2025-03-12' }).expect(400);
+
+    assert.match(res.body.error, /closed/);
+  });
+
+  it('keeps students awaiting approval from booking', async () => {
+    setClock('2025-03-10T08:00');
+    const user = await createStudent({ status: 'Pending' });
+    const agent = await studentAgent(user);
+
+    await agent.post('/meal-update').send({ meal: 'Lunch', date: '2025-03-11' }).expect(403);
+  });
+});
+
+describe('meal corrections in a closed billing month', () => {
+  const closeMarch = () => mongoose.model('BillingPeriod').create({ month: '2025-03', totalExpense: 0, totalMeals: 0, mealRate: 0 });
+
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-04-02T12:00');
+  });
+
+  it('refuses to file one', async () => {
+    const user = await createStudent();
+    const row = await bookedDay(user, '2025-03-10', 'Both');
+    await closeMarch();
+
+    const res = await (await studentAgent(user)).post('/api/meal-corrections')
+      .send({ mealHistoryId: row._id.toString(), meal: 'Off', reason: 'Away that day' }).expect(400);
+
+    assert.equal(res.body.error, 'Billing month is closed');
+  });
+
+  it('refuses to approve one filed before the month closed', async () => {
+    const user = await createStudent();
+    const row = await bookedDay(user, '2025-03-10', 'Both');
+    await (await studentAgent(user)).post('/api/meal-corrections')
+      .send({ mealHistoryId: row._id.toString(), meal: 'Off', reason: 'Away that day' }).expect(200);
+    await closeMarch();
+    const correction = await mongoose.model('MealCorrection').findOne().lean();
+
+    await (await adminAgent(await createAdmin())).post(`/api/meal-corrections/${correction._id}/approve`).send({}).expect(409);
+
+    assert.equal((await findDay(user, '2025-03-10')).meal, 'Both');
+    assert.equal(await totalMeals(user), 2);
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { registerTransport } = require('../services/notifier');
+
+// Reminders in these tests go out by SMS into this list
+const sms = [];
+registerTransport('sms', 'memory', () => async message => sms.push(message));
+process.env.SMS_TRANSPORT = 'memory';
+
+const { startApp, stopApp, resetData, setClock, mealDay, createStudent, createStaff, bookedDay, studentAgent, staffAgent } = require('./helpers');
+const { runBookingReminders, runCutoffReminders, runBalanceReminders } = require('../server');
+
+before(startApp);
+after(stopApp);
+
+let phoneCounter = 0;
+const optedIn = (overrides = {}) => {
+  phoneCounter += 1;
+  return createStudent({ phone: `+88017000000${String(phoneCounter).padStart(2, '0')}`, notificationChannels: { sms: true }, ...overrides });
+};
+const textsTo = user => sms.filter(message => message.to === user.phone).map(message => message.text);
+
+describe('/api/notifications', () => {
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T08:00');
+  });
+
+  it('saves the channels a student opts in to', async () => {
+    const user = await createStudent();
+    const agent = await studentAgent(user);
+
+    const res = await agent.post('/api/notifications').send({ channels: { email: true, sms: true }, phone: '+880 1700-000000' }).expect(200);
+
+    assert.deepEqual(res.body.channels, { email: true, sms: true, push: false });
+    const saved = await mongoose.model('User').findById(user._id).lean();
+    assert.equal(saved.phone, '+8801700000000');
+  });
+
+  it('needs a phone number for SMS and a subscribed browser for push', async () => {
+    const agent = await studentAgent(await createStudent());
+
+    const noPhone = await agent.post('/api/notifications').send({ channels: { sms: true } }).expect(400);
+    const noBrowser = await agent.post('/api/notifications').send({ channels: { push: true } }).expect(400);
+
+    assert.equal(noPhone.body.error, 'Add a phone number to get SMS reminders');
+    assert.equal(noBrowser.body.error, 'Allow notifications in a browser first');
+  });
+
+  it('turns push on with the first browser and off with the last', async () => {
+    const user = await createStudent();
+    const agent = await studentAgent(user);
+    const subscription = { endpoint: 'https://push.example.com/abc', keys: { p256dh: 'key', auth: 'secret' } };
+
+    await agent.post('/api/notifications/push').send({ subscription }).expect(200);
+    assert.equal((await agent.get('/api/notifications').expect(200)).body.channels.push, true);
+
+    await agent.delete('/api/notifications/push').send({ endpoint: subscription.endpoint }).expect(200);
+    assert.equal((await agent.get('/api/notifications').expect(200)).body.channels.push, false);
+  });
+});
+
+describe('booking reminders', () => {
+  beforeEach(async () => {
+    await resetData();
+    sms.length = 0;
+    setClock('2025-03-10T20:00');
+  });
+
+  it('tells opted-in students who have not booked tomorrow what they will get, once', async () => {
+    const unbooked = await optedIn();
+    await bookedDay(unbooked, '2025-03-10', 'Both');
+    const booked = await optedIn();
+    await bookedDay(booked, '2025-03-11', 'Off');
+    const silent = await createStudent();
+
+    await runBookingReminders();
+    await runBookingReminders();
+
+    assert.equal(textsTo(unbooked).length, 1);
+    assert.match(textsTo(unbooked)[0], /Tuesday 11 March.*lunch and dinner/);
+    assert.deepEqual(textsTo(booked), []);
+    assert.equal(await mongoose.model('NotificationLog').countDocuments({ userId: silent._id }), 0);
+  });
+
+  it('leaves students with a weekly template alone', async () => {
+    const user = await optedIn();
+    await mongoose.model('MealTemplate').create({
+      userId: user._id,
+      days: [0, 1, 2, 3, 4, 5, 6].map(weekday => ({ weekday, meal: 'Lunch', additionalItems: [] })),
+    });
+
+    await runBookingReminders();
+
+    assert.deepEqual(textsTo(user), []);
+  });
+
+  it('sends nothing once an admin switches the reminder off', async () => {
+    const user = await optedIn();
+    await mongoose.model('MessSettings').create({ reminders: { unbookedDay: false } });
+
+    await runBookingReminders();
+
+    assert.deepEqual(textsTo(user), []);
+  });
+});
+
+describe('cutoff reminders', () => {
+  beforeEach(async () => {
+    await resetData();
+    sms.length = 0;
+    await mongoose.model('MealCutoff').create({ meal: 'Lunch', daysBefore: 0, time: '10:00' });
+  });
+
+  it('warns students booked for the meal within the hour before its cutoff', async () => {
+    const lunch = await optedIn();
+    await bookedDay(lunch, '2025-03-10', 'Lunch');
+    const dinner = await optedIn();
+    await bookedDay(dinner, '2025-03-10', 'Dinner');
+
+    setClock('2025-03-10T08:30');
+    await runCutoffReminders();
+    assert.deepEqual(textsTo(lunch), []);
+
+    setClock('2025-03-10T09:05');
+    await runCutoffReminders();
+    setClock('2025-03-10T09:10');
+    await runCutoffReminders();
+
+    assert.equal(textsTo(lunch).length, 1);
+    assert.match(textsTo(lunch)[0], /^Lunch changes lock at 10:00/);
+    assert.deepEqual(textsTo(dinner), []);
+  });
+});
+
+describe('balance reminders', () => {
+  beforeEach(async () => {
+    await resetData();
+    sms.length = 0;
+    setClock('2025-03-10T10:00');
+  });
+
+  it('reminds students below the threshold at most once a week', async () => {
+    const low = await optedIn();
+    const funded = await optedIn();
+    await mongoose.model('Transaction').create({ userId: funded._id, type: 'Deposit', amount: 5000, date: new Date('2025-03-02T06:00:00Z') });
+
+    await runBalanceReminders();
+    setClock('2025-03-11T10:00');
+    await runBalanceReminders();
+
+    assert.equal(textsTo(low).length, 1);
+    assert.match(textsTo(low)[0], /below ৳500/);
+    assert.deepEqual(textsTo(funded), []);
+  });
+});
+
+describe('request answered', () => {
+  beforeEach(async () => {
+    await resetData();
+    sms.length = 0;
+    setClock('2025-03-10T11:00');
+  });
+
+  it('tells the student when staff reject a late request', async () => {
+    const user = await optedIn();
+    const lateRequest = await mongoose.model('LateRequest').create({ userId: user._id, date: mealDay('2025-03-10'), meal: 'Off' });
+    const agent = await staffAgent(await createStaff('MessManager'));
+
+    await agent.post(`/api/meal/late-requests/${lateRequest._id}/reject`).expect(200);
+
+    assert.equal(textsTo(user).length, 1);
+    assert.match(textsTo(user)[0], /^Late request rejected/);
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotifier, registerTransport } = require('../services/notifier');
+
+const sent = { sms: [], push: [] };
+let smsDown = false;
+registerTransport('sms', 'test', () => async message => {
+  if (smsDown) throw new Error('Gateway down');
+  sent.sms.push(message);
+});
+registerTransport('push', 'test', () => async message => {
+  if (message.to.endpoint.endsWith('/gone')) throw Object.assign(new Error('Gone'), { gone: true });
+  sent.push.push(message);
+});
+
+// Just enough of the models for the notifier: a log with a unique (user, kind, key) and a subscription store
+function notifier({ mailFails = false } = {}) {
+  const logged = new Set();
+  const mail = [];
+  let subscriptions = [];
+  const NotificationLog = {
+    create: async ({ userId, kind, key }) => {
+      const id = `${userId}|${kind}|${key}`;
+      if (logged.has(id)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      logged.add(id);
+    },
+    deleteOne: async ({ userId, kind, key }) => { logged.delete(`${userId}|${kind}|${key}`); },
+  };
+  const PushSubscription = {
+    find: ({ userId }) => ({ lean: async () => subscriptions.filter(s => s.userId === userId) }),
+    deleteOne: async ({ _id }) => { subscriptions = subscriptions.filter(s => s._id !== _id); },
+  };
+  sent.sms.length = 0;
+  sent.push.length = 0;
+  return {
+    mail,
+    subscribe: (userId, endpoint) => subscriptions.push({ _id: endpoint, userId, endpoint, keys: { p256dh: 'p', auth: 'a' } }),
+    subscriptions: () => subscriptions,
+    notify: createNotifier({
+      User: {},
+      PushSubscription,
+      NotificationLog,
+      mailer: {
+        send: async message => {
+          if (mailFails) throw new Error('SMTP unavailable');
+          mail.push(message);
+        },
+      },
+      sms: 'test',
+      push: 'test',
+    }).notify,
+  };
+}
+
+const student = (channels, fields = {}) => ({
+  _id: 'u1',
+  name: 'Rahim',
+  email: 'rahim@example.com',
+  phone: '+8801700000000',
+  notificationChannels: channels,
+  ...fields,
+});
+
+const notice = { kind: 'UnbookedDay', key: '2025-03-11', title: 'No booking for tomorrow', text: 'Book tomorrow.', url: '/meal-update' };
+
+describe('notifier', () => {
+  it('sends only on the channels the student opted in to', async () => {
+    const { notify, mail } = notifier();
+
+    assert.equal(await notify(student({ sms: true }), notice), true);
+
+    assert.deepEqual(sent.sms.map(m => m.to), ['+8801700000000']);
+    assert.match(sent.sms[0].text, /^No booking for tomorrow: Book tomorrow\./);
+    assert.deepEqual(mail, []);
+  });
+
+  it('sends nothing to students with every channel off', async () => {
+    const { notify, mail } = notifier();
+
+    assert.equal(await notify(student({}), notice), false);
+
+    assert.deepEqual(sent.sms, []);
+    assert.deepEqual(mail, []);
+  });
+
+  it('sends a notice with the same kind and key only once', async () => {
+    const { notify, mail } = notifier();
+
+    await notify(student({ email: true }), notice);
+    assert.equal(await notify(student({ email: true }), notice), false);
+
+    assert.equal(mail.length, 1);
+    assert.equal(mail[0].subject, 'No booking for tomorrow');
+  });
+
+  it('does not email an address the student has not confirmed', async () => {
+    const { notify, mail } = notifier();
+
+    await notify(student({ email: true, sms: true }, { emailVerified: false }), notice);
+
+    assert.deepEqual(mail, []);
+    assert.equal(sent.sms.length, 1);
+  });
+
+  it("pushes to each of the student's browsers and forgets the ones that unsubscribed", async () => {
+    const { notify, subscribe, subscriptions } = notifier();
+    subscribe('u1', 'https://push.example.com/phone');
+    subscribe('u1', 'https://push.example.com/gone');
+    subscribe('u2', 'https://push.example.com/other');
+
+    await notify(student({ push: true }), notice);
+
+    assert.deepEqual(sent.push.map(m => m.to.endpoint), ['https://push.example.com/phone']);
+    assert.equal(sent.push[0].url, '/meal-update');
+    assert.deepEqual(subscriptions().map(s => s.endpoint), ['https://push.example.com/phone', 'https://push.example.com/other']);
+  });
+
+  it('keeps going when one channel fails', async () => {
+    const { notify } = notifier({ mailFails: true });
+    const logged = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(await notify(student({ email: true, sms: true }), notice), true);
+    } finally {
+      console.error = logged;
+    }
+
+    assert.equal(sent.sms.length, 1);
+  });
+
+  it('sends a notice again on the next run when no channel delivered it', async () => {
+    const { notify } = notifier();
+    const logged = console.error;
+    console.error = () => {};
+    smsDown = true;
+    try {
+      assert.equal(await notify(student({ sms: true }), notice), false);
+    } finally {
+      smsDown = false;
+      console.error = logged;
+    }
+
+    assert.equal(await notify(student({ sms: true }), notice), true);
+    assert.equal(sent.sms.length, 1);
+  });
+
+  it('skips SMS for students without a phone number', async () => {
+    const { notify, mail } = notifier();
+
+    await notify(student({ email: true, sms: true }, { phone: undefined }), notice);
+
+    assert.equal(mail.length, 1);
+    assert.deepEqual(sent.sms, []);
+  });
+});
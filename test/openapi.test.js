@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { apiV1 } = require('../server');
+const spec = require('../docs/openapi.json');
+
+// Every /api/v1 route as 'METHOD /path', with Express :params written the OpenAPI way
+const routes = () => apiV1.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method =>
+    `${method.toUpperCase()} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`))
+  .sort();
+
+const documented = () => Object.entries(spec.paths)
+  .flatMap(([path, operations]) => Object.keys(operations).map(method => `${method.toUpperCase()} ${path}`))
+  .sort();
+
+describe('OpenAPI spec', () => {
+  it('documents exactly the routes the API serves', () => {
+    assert.deepEqual(documented(), routes());
+  });
+
+  it('declares every path parameter it uses', () => {
+    for (const [path, operations] of Object.entries(spec.paths)) {
+      const names = [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+      for (const [method, operation] of Object.entries(operations)) {
+        const declared = (operation.parameters || []).filter(p => p.in === 'path').map(p => p.name);
+        assert.deepEqual(declared.sort(), names.sort(), `${method.toUpperCase()} ${path}`);
+      }
+    }
+  });
+
+  it('resolves every schema reference', () => {
+    const refs = [...JSON.stringify(spec).matchAll(/"\$ref":"#\/components\/(\w+)\/(\w+)"/g)];
+    assert.ok(refs.length);
+    for (const [, section, name] of refs) assert.ok(spec.components[section]?.[name], `${section}/${name}`);
+  });
+});
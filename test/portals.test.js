@@ -0,0 +1,57 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { app } = require('../server');
+const { startApp, stopApp, resetData, setClock, createStaff, createAdmin } = require('./helpers');
+
+before(startApp);
+after(stopApp);
+
+// One browser signed in to both portals, as on a shared office computer
+async function bothPortals(admin, staff) {
+  const agent = request.agent(app);
+  await agent.post('/admin/login').type('form').send({ email: admin.email, password: 'password123' }).expect(302);
+  await agent.post('/staff/login').type('form').send({ email: staff.email, password: 'password123' }).expect(302);
+  return agent;
+}
+
+describe('admin and staff portals in one browser', () => {
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T13:00');
+  });
+
+  it("does not lend the staff role's permissions to admin routes", async () => {
+    const agent = await bothPortals(await createAdmin('Accountant'), await createStaff('MessManager'));
+
+    const res = await agent.get('/admin/halls').expect(403);
+
+    assert.equal(res.body.error, 'Forbidden: Your role does not allow this');
+    await agent.get('/api/meal/total-count').query({ date: '2025-03-10' }).expect(200);
+  });
+
+  it("does not lend the admin role's permissions to staff routes", async () => {
+    const agent = await bothPortals(await createAdmin('SuperAdmin'), await createStaff('Server'));
+
+    await agent.post('/api/meal/extra').send({ date: '2025-03-10', mealType: 'Dinner' }).expect(403);
+    await agent.get('/admin/accounts').expect(200);
+  });
+});
+
+describe('POST /signup', () => {
+  beforeEach(resetData);
+
+  it('issues a new session id and keeps the other portals signed in', async () => {
+    const admin = await createAdmin('SuperAdmin');
+    const agent = request.agent(app);
+    const login = await agent.post('/admin/login').type('form').send({ email: admin.email, password: 'password123' }).expect(302);
+    const sessionId = cookies => cookies.find(cookie => cookie.startsWith('connect.sid=')).split(';')[0];
+
+    const signup = await agent.post('/signup').type('form')
+      .send({ name: 'New Student', classRoll: 7, email: 'new.student@example.com', password: 'password123', gender: 'Male', batch: '12' })
+      .expect(302);
+
+    assert.notEqual(sessionId(signup.headers['set-cookie']), sessionId(login.headers['set-cookie']));
+    await agent.get('/admin/accounts').expect(200);
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { createServingFeed } = require('../services/servingFeed');
+
+const day = value => new Date(`${value}T00:00:00Z`);
+
+// A request/response pair standing in for one open EventSource
+function stream() {
+  const req = new EventEmitter();
+  const res = {
+    status: null,
+    headers: null,
+    chunks: [],
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+  };
+  const updates = () => res.chunks.filter(chunk => chunk.startsWith('event: update')).map(chunk => JSON.parse(chunk.split('data: ')[1]));
+  return { req, res, updates, close: () => req.emit('close') };
+}
+
+describe('serving feed', () => {
+  it('opens an event stream with a retry delay', () => {
+    const feed = createServingFeed({ loadBoard: async () => ({}) });
+    const client = stream();
+
+    feed.subscribe(client.req, client.res, day('2025-03-10'));
+
+    assert.equal(client.res.status, 200);
+    assert.equal(client.res.headers['Content-Type'], 'text/event-stream');
+    assert.match(client.res.chunks[0], /^retry: \d+\n\n$/);
+    client.close();
+  });
+
+  it('batches changes to one date into a single update for every subscriber', async () => {
+    const loads = [];
+    const feed = createServingFeed({
+      batchMs: 10,
+      loadBoard: async (date, changes) => {
+        loads.push({ date, ...changes });
+        return { rows: changes.userIds };
+      },
+    });
+    const first = stream();
+    const second = stream();
+    feed.subscribe(first.req, first.res, day('2025-03-10'));
+    feed.subscribe(second.req, second.res, day('2025-03-10'));
+
+    feed.notify(day('2025-03-10'), { userIds: ['a'], eventIds: ['e1'] });
+    feed.notify(day('2025-03-10'), { userIds: ['b', 'a'] });
+    await sleep(30);
+
+    assert.equal(loads.length, 1);
+    assert.deepEqual(loads[0].userIds, ['a', 'b']);
+    assert.deepEqual(loads[0].eventIds, ['e1']);
+    assert.deepEqual(first.updates(), [{ rows: ['a', 'b'] }]);
+    assert.deepEqual(second.updates(), [{ rows: ['a', 'b'] }]);
+    first.close();
+    second.close();
+  });
+
+  it('only pushes to subscribers of the changed date', async () => {
+    let loads = 0;
+    const feed = createServingFeed({ batchMs: 10, loadBoard: async () => ({ load: ++loads }) });
+    const today = stream();
+    const tomorrow = stream();
+    feed.subscribe(today.req, today.res, day('2025-03-10'));
+    feed.subscribe(tomorrow.req, tomorrow.res, day('2025-03-11'));
+
+    feed.notify(day('2025-03-11'), { userIds: ['a'] });
+    feed.notify(day('2025-03-12'), { userIds: ['a'] });
+    await sleep(30);
+
+    assert.equal(loads, 1);
+    assert.deepEqual(today.updates(), []);
+    assert.deepEqual(tomorrow.updates(), [{ load: 1 }]);
+    today.close();
+    tomorrow.close();
+  });
+
+  it('pushes each subscriber the board for its own hall', async () => {
+    const loads = [];
+    const feed = createServingFeed({
+      batchMs: 10,
+      loadBoard: async (date, { hall }) => {
+        loads.push(hall);
+        return { hall };
+      },
+    });
+    const boys = stream();
+    const girls = stream();
+    const everyHall = stream();
+    const alsoBoys = stream();
+    feed.subscribe(boys.req, boys.res, day('2025-03-10'), 'BOYS');
+    feed.subscribe(girls.req, girls.res, day('2025-03-10'), 'GIRLS');
+    feed.subscribe(everyHall.req, everyHall.res, day('2025-03-10'));
+    feed.subscribe(alsoBoys.req, alsoBoys.res, day('2025-03-10'), 'BOYS');
+
+    feed.notify(day('2025-03-10'), { userIds: ['a'] });
+    await sleep(30);
+
+    assert.deepEqual(loads.sort(), ['BOYS', 'GIRLS', null].sort());
+    assert.deepEqual(boys.updates(), [{ hall: 'BOYS' }]);
+    assert.deepEqual(alsoBoys.updates(), [{ hall: 'BOYS' }]);
+    assert.deepEqual(girls.updates(), [{ hall: 'GIRLS' }]);
+    assert.deepEqual(everyHall.updates(), [{ hall: null }]);
+    [boys, girls, everyHall, alsoBoys].forEach(client => client.close());
+  });
+
+  it('stops loading boards once every subscriber has gone', async () => {
+    let loads = 0;
+    const feed = createServingFeed({ batchMs: 10, loadBoard: async () => ({ load: ++loads }) });
+    const client = stream();
+    feed.subscribe(client.req, client.res, day('2025-03-10'));
+    client.close();
+
+    feed.notify(day('2025-03-10'), { userIds: ['a'] });
+    await sleep(30);
+
+    assert.equal(loads, 0);
+  });
+
+  it('keeps the stream open when a board fails to load', async () => {
+    let fail = true;
+    const feed = createServingFeed({
+      batchMs: 10,
+      loadBoard: async () => {
+        if (fail) throw new Error('database unavailable');
+        return { ok: true };
+      },
+    });
+    const client = stream();
+    feed.subscribe(client.req, client.res, day('2025-03-10'));
+    const logged = console.error;
+    console.error = () => {};
+    try {
+      feed.notify(day('2025-03-10'), { userIds: ['a'] });
+      await sleep(30);
+    } finally {
+      console.error = logged;
+    }
+    fail = false;
+    feed.notify(day('2025-03-10'), { userIds: ['a'] });
+    await sleep(30);
+
+    assert.deepEqual(client.updates(), [{ ok: true }]);
+    client.close();
+  });
+});
@@ -0,0 +1,201 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, stopApp, resetData, setClock, mealDay, createStudent, createStaff, bookedDay, staffAgent, findDay, totalMeals } = require('./helpers');
+
+before(startApp);
+after(stopApp);
+
+describe('POST /api/meal/serve/:userId', () => {
+  let agent;
+
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T13:00');
+    agent = await staffAgent(await createStaff('Server'));
+  });
+
+  const serve = (user, mealType, date = '2025-03-10') => agent.post(`/api/meal/serve/${user._id}`).send({ mealType, date });
+
+  it('marks a booked meal served and logs who served it', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Both');
+
+    const res = await serve(user, 'Lunch').expect(200);
+
+    assert.equal(res.body.message, 'Lunch served successfully');
+    const row = await findDay(user, '2025-03-10');
+    assert.equal(row.lunchServed, true);
+    assert.equal(row.dinnerServed, false);
+    assert.equal(await mongoose.model('ServingEvent').countDocuments({ userId: user._id, action: 'Serve', mealType: 'Lunch' }), 1);
+  });
+
+  it('refuses to serve the same meal twice', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Lunch', { lunchServed: true });
+
+    const res = await serve(user, 'Lunch').expect(400);
+
+    assert.equal(res.body.error, 'Lunch already served');
+  });
+
+  it('refuses students who are Off', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Off');
+
+    const res = await serve(user, 'Dinner').expect(400);
+
+    assert.equal(res.body.error, 'Cannot serve meal for Off status');
+  });
+
+  it('refuses a meal the student did not book', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Lunch');
+
+    const res = await serve(user, 'Dinner').expect(400);
+
+    assert.equal(res.body.error, 'Dinner not enabled');
+  });
+
+  it("creates a missing day from the student's previous day before serving", async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-09', 'Both');
+
+    await serve(user, 'Dinner').expect(200);
+
+    const row = await findDay(user, '2025-03-10');
+    assert.equal(row.meal, 'Both');
+    assert.equal(row.dinnerServed, true);
+    assert.equal(await totalMeals(user), 4);
+  });
+
+  it('rejects unknown meal types and students', async () => {
+    const user = await createStudent();
+    await serve(user, 'Breakfast').expect(400);
+    await serve({ _id: new mongoose.Types.ObjectId() }, 'Lunch').expect(404);
+  });
+});
+
+describe('POST /api/meal/extra', () => {
+  let agent;
+
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T11:00');
+    agent = await staffAgent(await createStaff('MessManager'));
+  });
+
+  it('switches on the meal only for students who were Off, and only their totals move', async () => {
+    const off = await createStudent();
+    const lunch = await createStudent();
+    await bookedDay(off, '2025-03-10', 'Off');
+    await bookedDay(lunch, '2025-03-10', 'Lunch');
+
+    const res = await agent.post('/api/meal/extra').send({ date: '2025-03-10', mealType: 'Dinner' }).expect(200);
+
+    assert.equal(res.body.message, 'Extra Dinner enabled for 1 users');
+    const offRow = await findDay(off, '2025-03-10');
+    assert.equal(offRow.meal, 'Dinner');
+    assert.equal(offRow.isExtra, true);
+    assert.equal(await totalMeals(off), 1);
+    assert.equal((await findDay(lunch, '2025-03-10')).meal, 'Lunch');
+    assert.equal(await totalMeals(lunch), 1);
+  });
+
+  it('counts Both as two meals', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Off');
+
+    await agent.post('/api/meal/extra').send({ date: '2025-03-10', mealType: 'Both' }).expect(200);
+
+    assert.equal(await totalMeals(user), 2);
+  });
+
+  it('is refused on a closed day', async () => {
+    await mongoose.model('CalendarDay').create({ date: mealDay('2025-03-10'), type: 'Closed' });
+    await agent.post('/api/meal/extra').send({ date: '2025-03-10', mealType: 'Lunch' }).expect(400);
+  });
+
+  it('is not available to servers', async () => {
+    const server = await staffAgent(await createStaff('Server'));
+    await server.post('/api/meal/extra').send({ date: '2025-03-10', mealType: 'Lunch' }).expect(403);
+  });
+});
+
+describe('POST /api/meal/sync', () => {
+  let agent;
+
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T13:00');
+    agent = await staffAgent(await createStaff('Server'));
+  });
+
+  const action = (user, mealType, id, at = '2025-03-10T06:30:00.000Z') => ({ id, userId: user._id, mealType, date: '2025-03-10', at });
+
+  it('applies queued serves with the time they were recorded', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Both');
+
+    const res = await agent.post('/api/meal/sync').send({ actions: [action(user, 'Lunch', 'offline-0001')] }).expect(200);
+
+    assert.deepEqual(res.body.results, [{ id: 'offline-0001', status: 'applied' }]);
+    assert.equal((await findDay(user, '2025-03-10')).lunchServed, true);
+    const event = await mongoose.model('ServingEvent').findOne({ clientActionId: 'offline-0001' }).lean();
+    assert.equal(event.at.toISOString(), '2025-03-10T06:30:00.000Z');
+    assert.equal(event.action, 'Serve');
+  });
+
+  it('reports a resent batch as duplicates without serving again', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Both');
+    const actions = [action(user, 'Lunch', 'offline-0001'), action(user, 'Dinner', 'offline-0002')];
+
+    await agent.post('/api/meal/sync').send({ actions }).expect(200);
+    const res = await agent.post('/api/meal/sync').send({ actions }).expect(200);
+
+    assert.deepEqual(res.body.results.map(result => result.status), ['duplicate', 'duplicate']);
+    assert.equal(await mongoose.model('ServingEvent').countDocuments({ userId: user._id, action: 'Serve' }), 2);
+  });
+
+  it('recognises a serve whose online response was lost', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Lunch');
+
+    await agent.post(`/api/meal/serve/${user._id}`).send({ mealType: 'Lunch', date: '2025-03-10', actionId: 'online-0001' }).expect(200);
+    const res = await agent.post('/api/meal/sync').send({ actions: [action(user, 'Lunch', 'online-0001')] }).expect(200);
+
+    assert.equal(res.body.results[0].status, 'duplicate');
+  });
+
+  it('returns conflicts with the current booking for staff to resolve', async () => {
+    const servedElsewhere = await createStudent();
+    const turnedOff = await createStudent();
+    await bookedDay(servedElsewhere, '2025-03-10', 'Both', { lunchServed: true });
+    await bookedDay(turnedOff, '2025-03-10', 'Off');
+
+    const res = await agent.post('/api/meal/sync')
+      .send({ actions: [action(servedElsewhere, 'Lunch', 'offline-0001'), action(turnedOff, 'Dinner', 'offline-0002')] })
+      .expect(200);
+
+    const [served, off] = res.body.results;
+    assert.equal(served.status, 'conflict');
+    assert.equal(served.reason, 'served');
+    assert.equal(off.status, 'conflict');
+    assert.equal(off.reason, 'notBooked');
+    assert.equal(off.row.meal, 'Off');
+    assert.equal(await mongoose.model('ServingEvent').countDocuments({ clientActionId: { $in: ['offline-0001', 'offline-0002'] } }), 0);
+  });
+
+  it('marks malformed actions invalid and still applies the rest', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Lunch');
+
+    const res = await agent.post('/api/meal/sync')
+      .send({ actions: [{ id: 'x', userId: user._id, mealType: 'Lunch', date: '2025-03-10' }, action(user, 'Lunch', 'offline-0001')] })
+      .expect(200);
+
+    assert.deepEqual(res.body.results.map(result => result.status), ['invalid', 'applied']);
+    await agent.post('/api/meal/sync').send({ actions: [] }).expect(400);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, stopApp, resetData, setClock, mealDay, createStudent, createStaff, bookedDay, staffAgent, findDay, totalMeals } = require('./helpers');
+
+before(startApp);
+after(stopApp);
+
+describe('POST /api/meal/staff-update', () => {
+  let agent;
+
+  beforeEach(async () => {
+    await resetData();
+    setClock('2025-03-10T09:30');
+    agent = await staffAgent(await createStaff('MessManager'));
+  });
+
+  it('changes a booked day, moves the total and logs the change', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Lunch');
+
+    await agent.post('/api/meal/staff-update').send({ userId: user._id, meal: 'Both', date: '2025-03-10' }).expect(200);
+
+    assert.equal((await findDay(user, '2025-03-10')).meal, 'Both');
+    assert.equal(await totalMeals(user), 2);
+    const event = await mongoose.model('ServingEvent').findOne({ userId: user._id, action: 'StaffUpdate' }).lean();
+    assert.equal(event.details, 'Lunch -> Both');
+  });
+
+  it('creates the day when the student has none', async () => {
+    const user = await createStudent();
+
+    await agent.post('/api/meal/staff-update').send({ userId: user._id, meal: 'Dinner', date: '2025-03-11' }).expect(200);
+
+    assert.equal((await findDay(user, '2025-03-11')).dailyMealCount, 1);
+    assert.equal(await totalMeals(user), 1);
+  });
+
+  it('clears served flags for a meal that is switched off', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Both', { lunchServed: true });
+
+    await agent.post('/api/meal/staff-update').send({ userId: user._id, meal: 'Dinner', date: '2025-03-10' }).expect(200);
+
+    const row = await findDay(user, '2025-03-10');
+    assert.equal(row.lunchServed, false);
+    assert.equal(await totalMeals(user), 1);
+  });
+
+  it('approves a pending late request with the same change', async () => {
+    const user = await createStudent();
+    await bookedDay(user, '2025-03-10', 'Off');
+    const lateRequest = await mongoose.model('LateRequest').create({ userId: user._id, date: mealDay('2025-03-10'), meal: 'Lunch', reason: 'Lunch cutoff passed' });
+
+    const res = await agent.post('/api/meal/staff-update')
+      .send({ userId: user._id, meal: 'Lunch', date: '2025-03-10', lateRequestId: lateRequest._id })
+      .expect(200);
+
+    assert.equal(res.body.message, 'Late request approved');
+    assert.equal((await mongoose.model('LateRequest').findById(lateRequest._id).lean()).status, 'Approved');
+    assert.equal(await totalMeals(user), 1);
+  });
+
+  it('refuses inactive students and invalid meals', async () => {
+    const user = await createStudent({ status: 'Archived' });
+    await agent.post('/api/meal/staff-update').send({ userId: user._id, meal: 'Lunch', date: '2025-03-10' }).expect(400);
+    await agent.post('/api/meal/staff-update').send({ userId: user._id, meal: 'Supper', date: '2025-03-10' }).expect(400);
+  });
+
+  it('is not available to servers', async () => {
+    const user = await createStudent();
+    const server = await staffAgent(await createStaff('Server'));
+
+    await server.post('/api/meal/staff-update').send({ userId: user._id, meal: 'Lunch', date: '2025-03-10' }).expect(403);
+
+    assert.equal(await findDay(user, '2025-03-10'), null);
+  });
+});